@@ -0,0 +1,176 @@
+// CI job emissions reported by pipelines with a project token. Runner draw comes from the admin-maintained
+// ci_runner_types profiles, scaled up by the runner's PUE (1 for self-hosted machines in an office), and is
+// charged at the carbon factor of the region the job ran in. Each job is recorded once, in the same ledger as
+// device sessions with source 'ci', and attributed to a project stage: the one the job names, or the stage
+// the project is in.
+const crypto = require('crypto');
+const {
+  EmissionError,
+  DEFAULT_UNCERTAINTY_PCT,
+  estimateComponentWatts,
+  buildEmissionBreakdown,
+  resolveSessionWindow,
+  toUncertaintyFraction,
+  buildUncertaintyRange
+} = require('./emissions');
+const { hashApiKey } = require('./codecarbon');
+
+// Longest job accepted, matching the longest job timeout of common CI services (72 hours)
+const MAX_CI_JOB_SECONDS = 72 * 3600;
+
+// Abbreviated or full git commit hashes (SHA-1 or SHA-256)
+const COMMIT_SHA_PATTERN = /^[0-9a-f]{7,64}$/i;
+
+function createCiPipelineRecorder(query, emissionEngine) {
+  // Issue a token for a project's pipelines; the raw token is returned only here
+  const createToken = async ({ userId, projectId, label = null }) => {
+    await emissionEngine.assertProjectAccess(projectId, userId);
+    const token = `ci_${crypto.randomBytes(24).toString('hex')}`;
+    const result = await query(`
+      INSERT INTO ci_project_tokens (user_id, project_id, token_hash, token_prefix, label)
+      VALUES (?, ?, ?, ?, ?)
+    `, [userId, projectId, hashApiKey(token), token.slice(0, 10), label]);
+    return { id: result.insertId, projectId: Number(projectId), label, token };
+  };
+
+  const listTokens = async ({ userId, projectId }) => {
+    await emissionEngine.assertProjectAccess(projectId, userId);
+    return query(`
+      SELECT id, user_id, token_prefix, label, created_at, last_used_at, revoked_at
+      FROM ci_project_tokens
+      WHERE project_id = ?
+      ORDER BY created_at DESC
+    `, [projectId]);
+  };
+
+  const revokeToken = async ({ userId, projectId, tokenId }) => {
+    await emissionEngine.assertProjectAccess(projectId, userId);
+    const result = await query(
+      'UPDATE ci_project_tokens SET revoked_at = NOW() WHERE id = ? AND project_id = ? AND revoked_at IS NULL',
+      [tokenId, projectId]
+    );
+    if (result.affectedRows === 0) {
+      throw new EmissionError(404, 'Token not found');
+    }
+  };
+
+  // Resolve an active token to the user who issued it and its project
+  const authenticate = async (token) => {
+    if (!token) {
+      throw new EmissionError(401, 'An x-api-token header is required');
+    }
+    const results = await query(
+      'SELECT id, user_id, project_id FROM ci_project_tokens WHERE token_hash = ? AND revoked_at IS NULL',
+      [hashApiKey(token)]
+    );
+    if (results.length === 0) {
+      throw new EmissionError(403, 'Invalid or revoked token');
+    }
+    await query('UPDATE ci_project_tokens SET last_used_at = NOW() WHERE id = ?', [results[0].id]);
+    return results[0];
+  };
+
+  const getRunnerType = async (runnerType) => {
+    const results = await query('SELECT * FROM ci_runner_types WHERE runner_type = ?', [runnerType]);
+    if (results.length === 0) {
+      throw new EmissionError(404, `Runner type ${runnerType} not found`);
+    }
+    return results[0];
+  };
+
+  // Calculate and record one CI job. duration is in seconds; utilization is the average CPU load as a 0-1
+  // fraction (or null). A job is recorded once per (project, pipelineId, jobId); repeats are rejected.
+  const recordJob = async (token, { runnerType, duration, region, pipelineId, jobId, commitSha = null, stage = null, utilization = null, startedAt, endedAt }) => {
+    if (!runnerType || !region || !pipelineId || !jobId) {
+      throw new EmissionError(400, 'runnerType, region, pipelineId and jobId are required');
+    }
+    const sessionDuration = Number(duration);
+    if (duration === undefined || duration === null || isNaN(sessionDuration) || sessionDuration <= 0 || sessionDuration > MAX_CI_JOB_SECONDS) {
+      throw new EmissionError(400, `duration must be a positive number of seconds up to ${MAX_CI_JOB_SECONDS}`);
+    }
+    if (commitSha && !COMMIT_SHA_PATTERN.test(commitSha)) {
+      throw new EmissionError(400, 'commitSha must be a git commit hash');
+    }
+    if (Number.isNaN(utilization)) {
+      throw new EmissionError(400, 'Utilization values must be percentages between 0 and 100');
+    }
+    const window = resolveSessionWindow(sessionDuration, startedAt, endedAt);
+    if (isNaN(window.startedAt.getTime()) || isNaN(window.endedAt.getTime())) {
+      throw new EmissionError(400, 'startedAt and endedAt must be valid timestamps');
+    }
+
+    await emissionEngine.assertProjectAccess(token.project_id, token.user_id);
+    const profile = await getRunnerType(runnerType);
+    const projects = await query('SELECT stage FROM user_history WHERE id = ?', [token.project_id]);
+    const jobStage = stage || projects[0].stage || null;
+
+    // Claim the job first so a retried report can't be recorded twice
+    let claim;
+    try {
+      claim = await query(`
+        INSERT INTO ci_jobs (token_id, user_id, project_id, pipeline_id, job_id, commit_sha, runner_type, region, stage, duration)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `, [token.id, token.user_id, token.project_id, String(pipelineId), String(jobId), commitSha, runnerType, region, jobStage, sessionDuration]);
+    } catch (error) {
+      if (error.code === 'ER_DUP_ENTRY') {
+        throw new EmissionError(409, `Job ${jobId} of pipeline ${pipelineId} is already recorded`);
+      }
+      throw error;
+    }
+
+    try {
+      // Runner load, plus the facility overhead its PUE implies
+      const runnerModel = estimateComponentWatts(profile, utilization);
+      const pue = Number(profile.pue) >= 1 ? Number(profile.pue) : 1;
+      const watts = { compute: runnerModel.watts, datacenter: runnerModel.watts * (pue - 1) };
+
+      const carbonFactor = await emissionEngine.getSessionCarbonFactor(region, window);
+      const breakdown = buildEmissionBreakdown(watts, sessionDuration, carbonFactor);
+      // The facility overhead scales with the runner draw, so the profile's uncertainty applies to both as one
+      const wattageUncertainty = toUncertaintyFraction(profile.uncertainty_pct, DEFAULT_UNCERTAINTY_PCT.wattage);
+      const uncertainty = buildUncertaintyRange(
+        breakdown.carbonEmissions,
+        breakdown.carbonEmissions * Math.sqrt(wattageUncertainty ** 2 + carbonFactor.uncertainty ** 2)
+      );
+
+      const recorded = await emissionEngine.recordEmissionSession({
+        projectId: token.project_id,
+        userId: token.user_id,
+        device: { id: null, runner_type: runnerType, pipeline_id: String(pipelineId), job_id: String(jobId), commit_sha: commitSha, pue },
+        source: 'ci',
+        region,
+        sessionDuration,
+        utilization: { cpu: utilization },
+        totalWatts: breakdown.totalWatts,
+        energyWh: breakdown.energyWh,
+        carbonFactor,
+        carbonEmissions: breakdown.carbonEmissions,
+        uncertainty,
+        stage: jobStage,
+        startedAt: window.startedAt,
+        endedAt: window.endedAt
+      });
+      await query('UPDATE ci_jobs SET emission_session_id = ? WHERE id = ?', [recorded.sessionId, claim.insertId]);
+
+      return {
+        ciJobId: claim.insertId,
+        stage: jobStage,
+        carbonEmissions: breakdown.carbonEmissions,
+        uncertainty,
+        energyKwh: breakdown.energyKwh,
+        energyCost: recorded.energyCost,
+        carbonFactor,
+        breakdown: { ...breakdown, powerModel: { compute: runnerModel }, runner: { runnerType, pue } },
+        sessionId: recorded.sessionId
+      };
+    } catch (error) {
+      // Release the claim so the job can be reported again
+      await query('DELETE FROM ci_jobs WHERE id = ?', [claim.insertId]);
+      throw error;
+    }
+  };
+
+  return { createToken, listTokens, revokeToken, authenticate, recordJob };
+}
+
+module.exports = { createCiPipelineRecorder, MAX_CI_JOB_SECONDS };
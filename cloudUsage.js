@@ -0,0 +1,131 @@
+// Cloud compute usage recorded against a project. Instance draw comes from the admin-maintained
+// cloud_instance_types profiles, scaled up by the datacenter's PUE, and charged at the carbon factor of
+// the grid the datacenter sits on. Entries land in the same ledger as device sessions with source 'cloud'.
+const {
+  EmissionError,
+  DEFAULT_UNCERTAINTY_PCT,
+  estimateComponentWatts,
+  buildEmissionBreakdown,
+  resolveSessionWindow,
+  toUncertaintyFraction,
+  buildUncertaintyRange,
+  combineUncertaintyRanges
+} = require('./emissions');
+
+// Most instance-hours accepted in one usage record (a month of one instance is 744)
+const MAX_CLOUD_USAGE_HOURS = 24 * 31;
+
+function createCloudUsageRecorder(query, emissionEngine) {
+  const getInstanceType = async (provider, instanceType) => {
+    const results = await query(
+      'SELECT * FROM cloud_instance_types WHERE provider = ? AND instance_type = ?',
+      [provider, instanceType]
+    );
+    if (results.length === 0) {
+      throw new EmissionError(404, `Instance type ${instanceType} not found for provider ${provider}`);
+    }
+    return results[0];
+  };
+
+  const getDatacenter = async (provider, cloudRegion) => {
+    const results = await query(
+      'SELECT * FROM cloud_datacenters WHERE provider = ? AND cloud_region = ?',
+      [provider, cloudRegion]
+    );
+    if (results.length === 0) {
+      throw new EmissionError(404, `Cloud region ${cloudRegion} not found for provider ${provider}`);
+    }
+    return results[0];
+  };
+
+  // Calculate and record cloud usage. utilization is the average CPU load as a 0-1 fraction (or null);
+  // bytesTransferred optionally covers the instances' network egress.
+  const record = async ({ userId, projectId, provider, instanceType, region, hours, instanceCount = 1, utilization = null, bytesTransferred = null, startedAt, endedAt }) => {
+    if (!provider || !instanceType || !region) {
+      throw new EmissionError(400, 'provider, instanceType and region are required');
+    }
+    const usageHours = Number(hours);
+    if (hours === undefined || hours === null || isNaN(usageHours) || usageHours <= 0 || usageHours > MAX_CLOUD_USAGE_HOURS) {
+      throw new EmissionError(400, `hours must be a positive number up to ${MAX_CLOUD_USAGE_HOURS}`);
+    }
+    const count = Number(instanceCount);
+    if (!Number.isInteger(count) || count < 1) {
+      throw new EmissionError(400, 'instanceCount must be a positive whole number');
+    }
+    if (Number.isNaN(utilization)) {
+      throw new EmissionError(400, 'Utilization values must be percentages between 0 and 100');
+    }
+
+    await emissionEngine.assertProjectAccess(projectId, userId);
+    const profile = await getInstanceType(provider, instanceType);
+    const datacenter = await getDatacenter(provider, region);
+
+    const sessionDuration = Math.round(usageHours * 3600);
+    const window = resolveSessionWindow(sessionDuration, startedAt, endedAt);
+    if (isNaN(window.startedAt.getTime()) || isNaN(window.endedAt.getTime())) {
+      throw new EmissionError(400, 'startedAt and endedAt must be valid timestamps');
+    }
+
+    // IT load of the instances, plus the datacenter overhead (cooling, power distribution) the PUE implies
+    const instanceModel = estimateComponentWatts(profile, utilization);
+    const computeWatts = instanceModel.watts * count;
+    const pue = Number(datacenter.pue) >= 1 ? Number(datacenter.pue) : 1;
+    const watts = { compute: computeWatts, datacenter: computeWatts * (pue - 1) };
+
+    const carbonFactor = await emissionEngine.getSessionCarbonFactor(datacenter.grid_region, window);
+    const network = await emissionEngine.estimateNetworkTransfer(bytesTransferred, carbonFactor, window.startedAt);
+    const operationalBreakdown = buildEmissionBreakdown(watts, sessionDuration, carbonFactor);
+    // The datacenter overhead scales with the compute draw, so the profile's uncertainty applies to both as one
+    const wattageUncertainty = toUncertaintyFraction(profile.uncertainty_pct, DEFAULT_UNCERTAINTY_PCT.wattage);
+    const uncertainty = {
+      operational: buildUncertaintyRange(
+        operationalBreakdown.carbonEmissions,
+        operationalBreakdown.carbonEmissions * Math.sqrt(wattageUncertainty ** 2 + carbonFactor.uncertainty ** 2)
+      ),
+      network: network ? network.uncertainty : null
+    };
+    uncertainty.total = combineUncertaintyRanges([uncertainty.operational, uncertainty.network]);
+
+    const breakdown = {
+      ...operationalBreakdown,
+      powerModel: { compute: instanceModel },
+      cloud: { provider, instanceType, region, gridRegion: datacenter.grid_region, instanceCount: count, pue },
+      network
+    };
+
+    const recorded = await emissionEngine.recordEmissionSession({
+      projectId,
+      userId,
+      device: { id: null, provider, instance_type: instanceType, cloud_region: region, instance_count: count, pue },
+      source: 'cloud',
+      region: datacenter.grid_region,
+      sessionDuration,
+      utilization: { cpu: utilization },
+      totalWatts: breakdown.totalWatts,
+      energyWh: breakdown.energyWh,
+      carbonFactor,
+      carbonEmissions: breakdown.carbonEmissions,
+      network,
+      uncertainty: uncertainty.total,
+      startedAt: window.startedAt,
+      endedAt: window.endedAt
+    });
+
+    const networkEmissions = network ? network.carbonEmissions : 0;
+    return {
+      carbonEmissions: breakdown.carbonEmissions,
+      networkEmissions,
+      totalEmissions: breakdown.carbonEmissions + networkEmissions,
+      uncertainty,
+      energyKwh: breakdown.energyKwh,
+      energyCost: recorded.energyCost,
+      carbonFactor,
+      breakdown,
+      sessionId: recorded.sessionId
+    };
+  };
+
+  return { record };
+}
+
+module.exports = { createCloudUsageRecorder, MAX_CLOUD_USAGE_HOURS };
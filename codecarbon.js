@@ -0,0 +1,235 @@
+// Ingestion of CodeCarbon runs. CodeCarbon's API output registers an experiment and a run, then posts the
+// emissions of each measurement interval; every interval is recorded in the emission_sessions ledger as a
+// 'codecarbon' session of the project the client's API key was issued for. CodeCarbon's energy readings
+// are kept, but they are charged at this server's carbon factor for the key owner's region so they add up
+// with every other session; CodeCarbon's own estimate is kept in the session snapshot for reference.
+// Each interval is recorded once per run and timestamp; a resent interval gets the first result back.
+const crypto = require('crypto');
+const {
+  EmissionError,
+  buildEmissionBreakdown,
+  estimateOperationalUncertainty
+} = require('./emissions');
+
+// Relative uncertainty of CodeCarbon's energy figures, which fall back to TDP estimates on hardware
+// without RAPL or NVML access
+const CODECARBON_ENERGY_UNCERTAINTY_PCT = 15;
+
+// Keys are only shown once; the database keeps their SHA-256 hash
+const hashApiKey = (apiKey) => crypto.createHash('sha256').update(apiKey).digest('hex');
+
+// Read a non-negative number from a CodeCarbon payload, treating missing values as zero
+const payloadNumber = (value) => {
+  const number = Number(value ?? 0);
+  return isNaN(number) || number < 0 ? NaN : number;
+};
+
+function createCodeCarbonIngestor(query, emissionEngine) {
+  // Issue a key for a project; the raw key is returned only here
+  const createApiKey = async ({ userId, projectId, label = null }) => {
+    await emissionEngine.assertProjectAccess(projectId, userId);
+    const apiKey = `cc_${crypto.randomBytes(24).toString('hex')}`;
+    const result = await query(`
+      INSERT INTO codecarbon_api_keys (user_id, project_id, key_hash, key_prefix, label)
+      VALUES (?, ?, ?, ?, ?)
+    `, [userId, projectId, hashApiKey(apiKey), apiKey.slice(0, 10), label]);
+    return { id: result.insertId, projectId: Number(projectId), label, apiKey };
+  };
+
+  const listApiKeys = async ({ userId, projectId }) => {
+    await emissionEngine.assertProjectAccess(projectId, userId);
+    return query(`
+      SELECT id, user_id, key_prefix, label, created_at, last_used_at, revoked_at
+      FROM codecarbon_api_keys
+      WHERE project_id = ?
+      ORDER BY created_at DESC
+    `, [projectId]);
+  };
+
+  const revokeApiKey = async ({ userId, projectId, keyId }) => {
+    await emissionEngine.assertProjectAccess(projectId, userId);
+    const result = await query(
+      'UPDATE codecarbon_api_keys SET revoked_at = NOW() WHERE id = ? AND project_id = ? AND revoked_at IS NULL',
+      [keyId, projectId]
+    );
+    if (result.affectedRows === 0) {
+      throw new EmissionError(404, 'API key not found');
+    }
+  };
+
+  // Resolve an active key to its owner and project
+  const authenticate = async (apiKey) => {
+    if (!apiKey) {
+      throw new EmissionError(401, 'An x-api-token header is required');
+    }
+    const results = await query(
+      'SELECT id, user_id, project_id FROM codecarbon_api_keys WHERE key_hash = ? AND revoked_at IS NULL',
+      [hashApiKey(apiKey)]
+    );
+    if (results.length === 0) {
+      throw new EmissionError(403, 'Invalid or revoked API key');
+    }
+    await query('UPDATE codecarbon_api_keys SET last_used_at = NOW() WHERE id = ?', [results[0].id]);
+    return results[0];
+  };
+
+  // POST /experiments: CodeCarbon expects the new experiment's id back
+  const createExperiment = async (key, experiment) => {
+    const id = crypto.randomUUID();
+    await query(`
+      INSERT INTO codecarbon_experiments (id, api_key_id, user_id, project_id, name, description)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `, [id, key.id, key.user_id, key.project_id, experiment.name || null, experiment.description || null]);
+    return { id };
+  };
+
+  // POST /runs: register a run under an experiment of the same project, keeping CodeCarbon's host details
+  const createRun = async (key, run) => {
+    if (run.experiment_id) {
+      const experiments = await query(
+        'SELECT id FROM codecarbon_experiments WHERE id = ? AND project_id = ?',
+        [run.experiment_id, key.project_id]
+      );
+      if (experiments.length === 0) {
+        throw new EmissionError(404, 'Experiment not found for this API key');
+      }
+    }
+
+    const id = crypto.randomUUID();
+    const { experiment_id: experimentId, ...details } = run;
+    await query(`
+      INSERT INTO codecarbon_runs (id, api_key_id, user_id, project_id, experiment_id, details)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `, [id, key.id, key.user_id, key.project_id, experimentId || null, JSON.stringify(details)]);
+    return { id };
+  };
+
+  // POST /emissions: record one measurement interval. Energies are kWh, power W and emissions kg, as
+  // CodeCarbon sends them; timestamp marks the end of the interval. Replays are flagged idempotentReplay.
+  const recordEmission = async (key, emission) => {
+    const runs = await query(
+      'SELECT id, experiment_id FROM codecarbon_runs WHERE id = ? AND project_id = ?',
+      [emission.run_id, key.project_id]
+    );
+    if (runs.length === 0) {
+      throw new EmissionError(404, 'Run not found for this API key');
+    }
+
+    const duration = Number(emission.duration);
+    if (isNaN(duration) || duration <= 0) {
+      throw new EmissionError(400, 'duration must be a positive number of seconds');
+    }
+    const energyKwh = {
+      cpu: payloadNumber(emission.cpu_energy),
+      gpu: payloadNumber(emission.gpu_energy),
+      ram: payloadNumber(emission.ram_energy)
+    };
+    const consumedKwh = payloadNumber(emission.energy_consumed);
+    if ([...Object.values(energyKwh), consumedKwh].some(value => Number.isNaN(value))) {
+      throw new EmissionError(400, 'Energy values must be non-negative numbers of kWh');
+    }
+    const endedAt = emission.timestamp ? new Date(emission.timestamp) : new Date();
+    if (isNaN(endedAt.getTime())) {
+      throw new EmissionError(400, 'timestamp must be a valid timestamp');
+    }
+    const startedAt = new Date(endedAt.getTime() - duration * 1000);
+
+    await emissionEngine.assertProjectAccess(key.project_id, key.user_id);
+
+    // Claim the interval first so a resent report can't be recorded twice
+    let claim;
+    try {
+      claim = await query(
+        'INSERT INTO codecarbon_emissions (run_id, user_id, project_id, measured_at) VALUES (?, ?, ?, ?)',
+        [runs[0].id, key.user_id, key.project_id, endedAt]
+      );
+    } catch (error) {
+      if (error.code !== 'ER_DUP_ENTRY') {
+        throw error;
+      }
+      const existing = await query(
+        'SELECT response FROM codecarbon_emissions WHERE run_id = ? AND measured_at = ?',
+        [runs[0].id, endedAt]
+      );
+      if (existing.length === 0 || !existing[0].response) {
+        throw new EmissionError(409, 'This interval is still being recorded');
+      }
+      const response = typeof existing[0].response === 'string' ? JSON.parse(existing[0].response) : existing[0].response;
+      return { ...response, idempotentReplay: true };
+    }
+
+    try {
+      return await recordInterval(key, runs[0], emission, { duration, energyKwh, consumedKwh, startedAt, endedAt }, claim.insertId);
+    } catch (error) {
+      // Release the claim so the interval can be reported again
+      await query('DELETE FROM codecarbon_emissions WHERE id = ?', [claim.insertId]);
+      throw error;
+    }
+  };
+
+  // Price a claimed interval and record it in the ledger, keeping the result for replays
+  const recordInterval = async (key, run, emission, { duration, energyKwh, consumedKwh, startedAt, endedAt }, claimId) => {
+    const users = await query('SELECT region FROM users WHERE id = ?', [key.user_id]);
+    const region = users.length > 0 ? users[0].region : null;
+    const carbonFactor = await emissionEngine.getSessionCarbonFactor(region, { startedAt, endedAt });
+
+    // Average draw per component over the interval; energy_consumed beyond the components is kept as 'other'
+    const componentKwh = Object.values(energyKwh).reduce((total, value) => total + value, 0);
+    const watts = {};
+    Object.keys(energyKwh).forEach(name => {
+      watts[name] = energyKwh[name] * 1000 * 3600 / duration;
+    });
+    watts.other = Math.max(consumedKwh - componentKwh, 0) * 1000 * 3600 / duration;
+
+    const breakdown = buildEmissionBreakdown(watts, duration, carbonFactor);
+    const energyUncertainty = CODECARBON_ENERGY_UNCERTAINTY_PCT / 100;
+    const uncertainty = estimateOperationalUncertainty(
+      breakdown,
+      { cpu: energyUncertainty, gpu: energyUncertainty, ram: energyUncertainty, other: energyUncertainty },
+      carbonFactor.uncertainty
+    );
+    const reportedEmissions = payloadNumber(emission.emissions_sum) * 1000;
+
+    const recorded = await emissionEngine.recordEmissionSession({
+      projectId: key.project_id,
+      userId: key.user_id,
+      device: {
+        id: null,
+        codecarbon_run_id: run.id,
+        codecarbon_experiment_id: run.experiment_id,
+        reported_emissions: Number.isNaN(reportedEmissions) ? null : reportedEmissions
+      },
+      source: 'codecarbon',
+      region,
+      sessionDuration: duration,
+      watts: { cpu: watts.cpu, gpu: watts.gpu, ram: watts.ram },
+      totalWatts: breakdown.totalWatts,
+      energyWh: breakdown.energyWh,
+      energySource: 'measured',
+      measurement: { meter: 'codecarbon', energyWh: breakdown.energyWh },
+      carbonFactor,
+      carbonEmissions: breakdown.carbonEmissions,
+      uncertainty,
+      startedAt,
+      endedAt
+    });
+
+    const result = {
+      id: recorded.sessionId,
+      run_id: run.id,
+      energyKwh: breakdown.energyKwh,
+      carbonEmissions: breakdown.carbonEmissions,
+      reportedEmissions: Number.isNaN(reportedEmissions) ? null : reportedEmissions,
+      carbonFactor
+    };
+    await query(
+      'UPDATE codecarbon_emissions SET emission_session_id = ?, response = ? WHERE id = ?',
+      [recorded.sessionId, JSON.stringify(result), claimId]
+    );
+    return result;
+  };
+
+  return { createApiKey, listApiKeys, revokeApiKey, authenticate, createExperiment, createRun, recordEmission };
+}
+
+module.exports = { createCodeCarbonIngestor, hashApiKey, CODECARBON_ENERGY_UNCERTAINTY_PCT };
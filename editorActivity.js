@@ -0,0 +1,272 @@
+// Coding time reported by editor plugins (VS Code, JetBrains, ...) as heartbeats, in the manner of WakaTime.
+// Heartbeats name the project by its user_history project_name; consecutive heartbeats for the same project
+// are coalesced into an editor session on the user's current device. A session ends when a heartbeat for
+// another project arrives, or when none follows within the gap; it is then calculated through the engine like
+// a live session, spanning its first to last heartbeat (or to the switch to the next project).
+const crypto = require('crypto');
+const { EmissionError } = require('./emissions');
+const { hashApiKey } = require('./codecarbon');
+
+// Seconds between heartbeats beyond which the user is considered to have stopped coding
+const EDITOR_SESSION_GAP_SECONDS = Number(process.env.EDITOR_SESSION_GAP_SECONDS) || 900;
+
+// Maximum number of heartbeats accepted in one request (plugins flush queued heartbeats in bulk)
+const MAX_EDITOR_HEARTBEATS = 100;
+
+// Clock skew tolerated on heartbeat timestamps ahead of the server
+const EDITOR_CLOCK_SKEW_SECONDS = 60;
+
+// Read a heartbeat timestamp: Unix seconds (as WakaTime plugins send) or an ISO string
+const parseHeartbeatTime = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const date = typeof value === 'number' || /^\d+(\.\d+)?$/.test(String(value))
+    ? new Date(Number(value) * 1000)
+    : new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+// Validate a request's heartbeats and sort them by time, keeping their position in the request
+const normalizeHeartbeats = (heartbeats) => {
+  const list = Array.isArray(heartbeats) ? heartbeats : [heartbeats];
+  if (list.length === 0 || list.length > MAX_EDITOR_HEARTBEATS) {
+    throw new EmissionError(400, `Send between 1 and ${MAX_EDITOR_HEARTBEATS} heartbeats`);
+  }
+
+  const latest = Date.now() + EDITOR_CLOCK_SKEW_SECONDS * 1000;
+  return list.map((heartbeat, index) => {
+    if (!heartbeat || typeof heartbeat !== 'object' || !heartbeat.project || !heartbeat.entity) {
+      throw new EmissionError(400, `Heartbeat ${index} requires entity and project`);
+    }
+    const time = parseHeartbeatTime(heartbeat.timestamp ?? heartbeat.time);
+    if (!time) {
+      throw new EmissionError(400, `Heartbeat ${index} requires a valid timestamp`);
+    }
+    if (time.getTime() > latest) {
+      throw new EmissionError(400, `Heartbeat ${index} is in the future`);
+    }
+    return {
+      index,
+      entity: String(heartbeat.entity).slice(0, 512),
+      project: String(heartbeat.project),
+      editor: heartbeat.editor ? String(heartbeat.editor).slice(0, 100) : null,
+      time
+    };
+  }).sort((a, b) => a.time.getTime() - b.time.getTime() || a.index - b.index);
+};
+
+function createEditorActivityTracker(query, emissionEngine) {
+  // Issue a personal token for editor plugins; the raw token is returned only here
+  const createToken = async ({ userId, label = null }) => {
+    const token = `ed_${crypto.randomBytes(24).toString('hex')}`;
+    const result = await query(
+      'INSERT INTO editor_tokens (user_id, token_hash, token_prefix, label) VALUES (?, ?, ?, ?)',
+      [userId, hashApiKey(token), token.slice(0, 10), label]
+    );
+    return { id: result.insertId, label, token };
+  };
+
+  const listTokens = ({ userId }) => query(`
+    SELECT id, token_prefix, label, created_at, last_used_at, revoked_at
+    FROM editor_tokens
+    WHERE user_id = ?
+    ORDER BY created_at DESC
+  `, [userId]);
+
+  const revokeToken = async ({ userId, tokenId }) => {
+    const result = await query(
+      'UPDATE editor_tokens SET revoked_at = NOW() WHERE id = ? AND user_id = ? AND revoked_at IS NULL',
+      [tokenId, userId]
+    );
+    if (result.affectedRows === 0) {
+      throw new EmissionError(404, 'Token not found');
+    }
+  };
+
+  // Resolve an active token to its user id
+  const authenticate = async (token) => {
+    if (!token) {
+      throw new EmissionError(401, 'An x-api-token header is required');
+    }
+    const results = await query(
+      'SELECT id, user_id FROM editor_tokens WHERE token_hash = ? AND revoked_at IS NULL',
+      [hashApiKey(token)]
+    );
+    if (results.length === 0) {
+      throw new EmissionError(403, 'Invalid or revoked token');
+    }
+    await query('UPDATE editor_tokens SET last_used_at = NOW() WHERE id = ?', [results[0].id]);
+    return results[0].user_id;
+  };
+
+  // Map a heartbeat's project name to a project the user may record sessions on, preferring their own
+  const resolveProject = async (userId, projectName) => {
+    const results = await query(`
+      SELECT id FROM user_history
+      WHERE project_name = ? AND (user_id = ? OR id IN (SELECT project_id FROM project_members WHERE user_id = ?))
+      ORDER BY user_id = ? DESC, id DESC
+      LIMIT 1
+    `, [projectName, userId, userId, userId]);
+    return results.length > 0 ? results[0].id : null;
+  };
+
+  // Claim an active editor session for closing, then record it over [started_at, endedAt]. Sessions of a
+  // single heartbeat have no duration and are closed without a ledger entry. Failures are kept on the row.
+  const closeEditorSession = async (editorSession, endedAt) => {
+    const claim = await query(
+      `UPDATE editor_sessions SET status = 'closed', ended_at = ? WHERE id = ? AND status = 'active'`,
+      [endedAt, editorSession.id]
+    );
+    if (claim.affectedRows === 0) {
+      return null;
+    }
+
+    const startedAt = new Date(editorSession.started_at);
+    const sessionDuration = Math.max(Math.round((endedAt.getTime() - startedAt.getTime()) / 1000), 0);
+    if (sessionDuration === 0) {
+      return { editorSessionId: editorSession.id, projectId: editorSession.project_id, sessionDuration, startedAt, endedAt };
+    }
+
+    try {
+      const result = await emissionEngine.calculateSession({
+        userId: editorSession.user_id,
+        projectId: editorSession.project_id,
+        deviceId: editorSession.device_id,
+        sessionDuration,
+        startedAt,
+        endedAt
+      });
+      await query('UPDATE editor_sessions SET emission_session_id = ? WHERE id = ?', [result.sessionId, editorSession.id]);
+      return { editorSessionId: editorSession.id, projectId: editorSession.project_id, sessionDuration, startedAt, endedAt, ...result };
+    } catch (error) {
+      console.error(`Error recording editor session ${editorSession.id}:`, error);
+      await query(`UPDATE editor_sessions SET status = 'failed', error = ? WHERE id = ?`, [error.message, editorSession.id]);
+      return null;
+    }
+  };
+
+  // Close every active session whose last heartbeat is older than the gap, ending it at that heartbeat
+  const closeStaleSessions = async () => {
+    const staleSessions = await query(`
+      SELECT * FROM editor_sessions
+      WHERE status = 'active' AND last_heartbeat_at < ?
+    `, [new Date(Date.now() - EDITOR_SESSION_GAP_SECONDS * 1000)]);
+
+    const closed = [];
+    for (const editorSession of staleSessions) {
+      const result = await closeEditorSession(editorSession, new Date(editorSession.last_heartbeat_at));
+      if (result) {
+        closed.push(result);
+      }
+    }
+    return closed;
+  };
+
+  const openEditorSession = async (userId, projectId, heartbeat) => {
+    const { device } = await emissionEngine.getCurrentDevice(userId);
+    const result = await query(`
+      INSERT INTO editor_sessions (user_id, project_id, device_id, editor, status, started_at, last_heartbeat_at, heartbeat_count, last_entity)
+      VALUES (?, ?, ?, ?, 'active', ?, ?, 1, ?)
+    `, [userId, projectId, device.id, heartbeat.editor, heartbeat.time, heartbeat.time, heartbeat.entity]);
+    return {
+      id: result.insertId,
+      user_id: userId,
+      project_id: projectId,
+      device_id: device.id,
+      started_at: heartbeat.time,
+      last_heartbeat_at: heartbeat.time
+    };
+  };
+
+  // Fold a request's heartbeats into the user's editor sessions. A user has at most one active session, so
+  // time is never counted twice when several projects or editors are open. Heartbeats older than the user's
+  // current or last session, or for projects that can't be mapped, are ignored.
+  const recordHeartbeats = async (userId, heartbeats) => {
+    const sorted = normalizeHeartbeats(heartbeats);
+
+    const active = await query(
+      `SELECT * FROM editor_sessions WHERE user_id = ? AND status = 'active' ORDER BY id DESC LIMIT 1`,
+      [userId]
+    );
+    let current = active.length > 0 ? active[0] : null;
+    const lastEnded = await query(`SELECT MAX(ended_at) AS ended_at FROM editor_sessions WHERE user_id = ? AND status != 'active'`, [userId]);
+    let earliest = current
+      ? new Date(current.started_at)
+      : (lastEnded[0].ended_at ? new Date(lastEnded[0].ended_at) : null);
+
+    const projectIds = new Map();
+    const results = [];
+    const closed = [];
+    const close = async (endedAt) => {
+      const result = await closeEditorSession(current, endedAt);
+      if (result) {
+        closed.push(result);
+      }
+      earliest = endedAt;
+      current = null;
+    };
+
+    for (const heartbeat of sorted) {
+      if (!projectIds.has(heartbeat.project)) {
+        projectIds.set(heartbeat.project, await resolveProject(userId, heartbeat.project));
+      }
+      const projectId = projectIds.get(heartbeat.project);
+      const time = heartbeat.time.getTime();
+      const ignore = (reason) => results.push({ index: heartbeat.index, status: 'ignored', reason });
+
+      if (projectId === null) {
+        ignore('No project with this name');
+        continue;
+      }
+      if (earliest && time < earliest.getTime()) {
+        ignore('Older than the current editor session');
+        continue;
+      }
+
+      if (current) {
+        const lastHeartbeat = new Date(current.last_heartbeat_at).getTime();
+        if (time - lastHeartbeat > EDITOR_SESSION_GAP_SECONDS * 1000) {
+          await close(new Date(lastHeartbeat));
+        } else if (current.project_id !== projectId) {
+          // Coding time up to the switch belongs to the project being left
+          if (time < lastHeartbeat) {
+            ignore('Older than the current editor session');
+            continue;
+          }
+          await close(heartbeat.time);
+        } else {
+          await query(`
+            UPDATE editor_sessions
+            SET last_heartbeat_at = GREATEST(last_heartbeat_at, ?), heartbeat_count = heartbeat_count + 1, last_entity = ?
+            WHERE id = ? AND status = 'active'
+          `, [heartbeat.time, heartbeat.entity, current.id]);
+          current.last_heartbeat_at = new Date(Math.max(lastHeartbeat, time));
+          results.push({ index: heartbeat.index, status: 'accepted', editorSessionId: current.id });
+          continue;
+        }
+      }
+
+      current = await openEditorSession(userId, projectId, heartbeat);
+      earliest = heartbeat.time;
+      results.push({ index: heartbeat.index, status: 'accepted', editorSessionId: current.id });
+    }
+
+    results.sort((a, b) => a.index - b.index);
+    return {
+      accepted: results.filter(result => result.status === 'accepted').length,
+      ignored: results.filter(result => result.status === 'ignored').length,
+      results,
+      closed,
+      gap: EDITOR_SESSION_GAP_SECONDS
+    };
+  };
+
+  return { createToken, listTokens, revokeToken, authenticate, recordHeartbeats, closeStaleSessions };
+}
+
+module.exports = {
+  createEditorActivityTracker,
+  EDITOR_SESSION_GAP_SECONDS,
+  MAX_EDITOR_HEARTBEATS
+};
@@ -0,0 +1,1135 @@
+// Emission calculation engine shared by the session recording routes and any ingestion path.
+// Wattage is resolved directly from the catalog tables by device class, so no route needs to
+// call the server's own HTTP endpoints. Database access goes through the query function
+// passed to createEmissionEngine, which must return a promise of the query results.
+
+const crypto = require('crypto');
+
+// Error carrying the HTTP status a route should respond with
+class EmissionError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'EmissionError';
+    this.status = status;
+  }
+}
+
+// Carbon factor (kgCO2e/kWh) used when a region has no entry in the carbon_factors table
+const DEFAULT_CARBON_FACTOR = Number(process.env.DEFAULT_CARBON_FACTOR) || 0.412;
+
+// Network energy intensity (kWh per GB transferred) used when network_energy_factors has no entry
+const DEFAULT_NETWORK_KWH_PER_GB = Number(process.env.DEFAULT_NETWORK_KWH_PER_GB) || 0.06;
+
+// Relative uncertainty (± percent) assumed wherever a catalog entry or factor does not record its own
+const DEFAULT_UNCERTAINTY_PCT = {
+  wattage: Number(process.env.DEFAULT_WATTAGE_UNCERTAINTY_PCT) || 20,
+  carbonFactor: Number(process.env.DEFAULT_CARBON_FACTOR_UNCERTAINTY_PCT) || 10,
+  unknownRegion: 30,
+  network: 50,
+  embodied: 30
+};
+
+// Columns selected from carbon_factors, with effective dates as YYYY-MM-DD strings
+const CARBON_FACTOR_COLUMNS = `
+  id, region, country, sub_grid, factor, uncertainty_pct, source,
+  DATE_FORMAT(effective_from, '%Y-%m-%d') AS effective_from,
+  DATE_FORMAT(effective_to, '%Y-%m-%d') AS effective_to
+`;
+
+// Convert a recorded uncertainty_pct (or the fallback percentage when it is missing) to a 0-1 fraction
+const toUncertaintyFraction = (pct, fallbackPct) => (pct == null || isNaN(Number(pct)) ? fallbackPct : Number(pct)) / 100;
+
+// Express an estimate as a low/central/high range from its absolute half-width, never going below zero
+const buildUncertaintyRange = (central, halfWidth) => ({
+  low: Math.max(central - halfWidth, 0),
+  central,
+  high: central + halfWidth,
+  relative: central > 0 ? halfWidth / central : 0
+});
+
+// Combine ranges of independent estimates: centrals add, half-widths add in quadrature
+const combineUncertaintyRanges = (ranges) => {
+  const present = ranges.filter(Boolean);
+  const central = present.reduce((total, range) => total + range.central, 0);
+  const halfWidth = Math.sqrt(present.reduce((total, range) => total + (range.high - range.central) ** 2, 0));
+  return buildUncertaintyRange(central, halfWidth);
+};
+
+// Propagate uncertainty through energy x carbon factor. Component energies are treated as independent
+// (half-widths in quadrature), then combined with the factor's relative uncertainty.
+const estimateOperationalUncertainty = (breakdown, wattUncertainty, factorUncertainty) => {
+  const energyHalfWidth = Math.sqrt(Object.keys(breakdown.components).reduce((total, name) => {
+    const fraction = wattUncertainty[name] ?? DEFAULT_UNCERTAINTY_PCT.wattage / 100;
+    return total + (breakdown.components[name].energyWh * fraction) ** 2;
+  }, 0));
+  const energyRelative = breakdown.energyWh > 0 ? energyHalfWidth / breakdown.energyWh : 0;
+  const relative = Math.sqrt(energyRelative ** 2 + factorUncertainty ** 2);
+  return buildUncertaintyRange(breakdown.carbonEmissions, breakdown.carbonEmissions * relative);
+};
+
+// Format a date as YYYY-MM-DD for comparison with effective dates
+const toDateString = (date) => new Date(date).toISOString().split('T')[0];
+
+// Pick the carbon factor version effective on the given date from a list of carbon_factors rows.
+// A sub-grid match beats a region match, which beats a country match; the latest version wins ties.
+const selectCarbonFactor = (factors, region, subGrid, at) => {
+  const day = toDateString(at || new Date());
+
+  const candidates = factors.filter(f =>
+    (f.region === region || f.country === region) &&
+    (!f.sub_grid || f.sub_grid === subGrid) &&
+    f.effective_from <= day &&
+    (!f.effective_to || f.effective_to >= day)
+  );
+
+  candidates.sort((a, b) =>
+    (b.sub_grid ? 1 : 0) - (a.sub_grid ? 1 : 0) ||
+    (b.region === region ? 1 : 0) - (a.region === region ? 1 : 0) ||
+    b.effective_from.localeCompare(a.effective_from)
+  );
+
+  const row = candidates[0];
+  if (!row) {
+    return {
+      id: null,
+      region: region || null,
+      subGrid: subGrid || null,
+      factor: DEFAULT_CARBON_FACTOR,
+      uncertainty: DEFAULT_UNCERTAINTY_PCT.unknownRegion / 100,
+      effectiveFrom: null,
+      effectiveTo: null,
+      isDefault: true
+    };
+  }
+
+  return {
+    id: row.id,
+    region: row.region,
+    subGrid: row.sub_grid,
+    factor: Number(row.factor),
+    uncertainty: toUncertaintyFraction(row.uncertainty_pct, DEFAULT_UNCERTAINTY_PCT.carbonFactor),
+    effectiveFrom: row.effective_from,
+    effectiveTo: row.effective_to,
+    isDefault: false
+  };
+};
+
+// Reduce reported utilization (an average percentage or an array of percentage samples) to a 0-1 fraction.
+// Returns null when nothing was reported and NaN when any value is outside 0-100.
+const parseUtilization = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  const samples = (Array.isArray(value) ? value : [value]).map(Number);
+  if (samples.length === 0) {
+    return null;
+  }
+  if (samples.some(sample => isNaN(sample) || sample < 0 || sample > 100)) {
+    return NaN;
+  }
+
+  return samples.reduce((sum, sample) => sum + sample, 0) / samples.length / 100;
+};
+
+// Parse a reported byte count for data transferred during a session.
+// Returns null when nothing was reported and NaN when the value is not a non-negative number.
+const parseBytesTransferred = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  const bytes = Number(value);
+  return isNaN(bytes) || bytes < 0 ? NaN : Math.round(bytes);
+};
+
+// Estimate a component's draw by interpolating between its catalog idle and peak wattage at the given utilization.
+// Falls back to the catalog average when no utilization was reported or the catalog lacks idle/peak figures.
+const estimateComponentWatts = (catalog, utilization) => {
+  const averageWatts = Number(catalog.avg_watt_usage) || 0;
+
+  if (utilization === null || catalog.idle_watts == null || catalog.peak_watts == null) {
+    return { watts: averageWatts, model: 'average', utilization: null };
+  }
+
+  const idleWatts = Number(catalog.idle_watts);
+  const peakWatts = Number(catalog.peak_watts);
+  return {
+    watts: idleWatts + (peakWatts - idleWatts) * utilization,
+    model: 'utilization',
+    utilization
+  };
+};
+
+// 80 PLUS efficiency curves as [load fraction, efficiency] points (115V internal, non-redundant).
+// 'none' covers uncertified units; the 10% points below the Titanium tier are extrapolated.
+const PSU_EFFICIENCY_CURVES = {
+  none: [[0.1, 0.65], [0.2, 0.70], [0.5, 0.75], [1, 0.70]],
+  white: [[0.1, 0.75], [0.2, 0.80], [0.5, 0.80], [1, 0.80]],
+  bronze: [[0.1, 0.77], [0.2, 0.82], [0.5, 0.85], [1, 0.82]],
+  silver: [[0.1, 0.80], [0.2, 0.85], [0.5, 0.88], [1, 0.85]],
+  gold: [[0.1, 0.82], [0.2, 0.87], [0.5, 0.90], [1, 0.87]],
+  platinum: [[0.1, 0.85], [0.2, 0.90], [0.5, 0.92], [1, 0.89]],
+  titanium: [[0.1, 0.90], [0.2, 0.92], [0.5, 0.94], [1, 0.90]]
+};
+
+// Tier assumed for devices without a recorded psu_tier
+const DEFAULT_PSU_TIER = 'bronze';
+
+// Whether a value names one of the efficiency curves (own keys only, so 'constructor' and the like don't pass)
+const isPsuTier = (tier) => typeof tier === 'string' && Object.prototype.hasOwnProperty.call(PSU_EFFICIENCY_CURVES, tier);
+
+// Model power supply conversion losses on top of the components' DC draw. The load fraction comes from
+// the rated capacity (psu) when known, otherwise the curve's 50% point is used (e.g. laptop adapters).
+const modelPsuEfficiency = (dcWatts, capacityWatts, tier) => {
+  const psuTier = isPsuTier(tier) ? tier : DEFAULT_PSU_TIER;
+  const curve = PSU_EFFICIENCY_CURVES[psuTier];
+  const capacity = Number(capacityWatts) > 0 ? Number(capacityWatts) : null;
+  const loadFraction = capacity ? Math.min(dcWatts / capacity, 1) : 0.5;
+
+  let efficiency = curve[0][1];
+  for (let i = 1; i < curve.length; i++) {
+    const [lowLoad, lowEfficiency] = curve[i - 1];
+    const [highLoad, highEfficiency] = curve[i];
+    if (loadFraction >= lowLoad) {
+      efficiency = lowEfficiency + (highEfficiency - lowEfficiency) * (Math.min(loadFraction, highLoad) - lowLoad) / (highLoad - lowLoad);
+    }
+  }
+
+  return {
+    tier: psuTier,
+    capacityWatts: capacity,
+    loadFraction,
+    efficiency,
+    lossWatts: dcWatts / efficiency - dcWatts
+  };
+};
+
+// Expected service life assumed for devices and components without a recorded lifetime
+const DEFAULT_DEVICE_LIFETIME_YEARS = Number(process.env.DEFAULT_DEVICE_LIFETIME_YEARS) || 4;
+
+// Hours of active use per year that embodied carbon is spread over (a working year by default),
+// so a session's share reflects the fraction of the device's useful life it consumed
+const EMBODIED_USE_HOURS_PER_YEAR = Number(process.env.EMBODIED_USE_HOURS_PER_YEAR) || 1760;
+
+// Amortize manufacturing (embodied) carbon into an hourly rate in gCO2e. A device-level figure on
+// user_devices takes precedence; otherwise each catalog component with a figure is amortized over its own
+// lifetime. Components without embodied data contribute nothing.
+const modelEmbodiedCarbon = (device, catalogEntries) => {
+  const gramsPerHour = (kgCO2e, lifetimeYears) => (Number(kgCO2e) * 1000) / (lifetimeYears * EMBODIED_USE_HOURS_PER_YEAR);
+  const deviceLifetime = Number(device.lifetime_years) > 0 ? Number(device.lifetime_years) : DEFAULT_DEVICE_LIFETIME_YEARS;
+
+  if (device.embodied_kgco2e != null) {
+    return {
+      source: 'device',
+      kgCO2e: Number(device.embodied_kgco2e),
+      lifetimeYears: deviceLifetime,
+      gramsPerHour: gramsPerHour(device.embodied_kgco2e, deviceLifetime),
+      uncertainty: DEFAULT_UNCERTAINTY_PCT.embodied / 100
+    };
+  }
+
+  const components = {};
+  Object.keys(catalogEntries).forEach(name => {
+    const entry = catalogEntries[name];
+    if (entry.embodied_kgco2e == null) {
+      return;
+    }
+    const lifetimeYears = Number(entry.lifetime_years) > 0 ? Number(entry.lifetime_years) : deviceLifetime;
+    components[name] = {
+      kgCO2e: Number(entry.embodied_kgco2e),
+      lifetimeYears,
+      gramsPerHour: gramsPerHour(entry.embodied_kgco2e, lifetimeYears),
+      uncertainty: toUncertaintyFraction(entry.uncertainty_pct, DEFAULT_UNCERTAINTY_PCT.embodied)
+    };
+  });
+
+  const names = Object.keys(components);
+  const totalGramsPerHour = names.reduce((total, name) => total + components[name].gramsPerHour, 0);
+  const halfWidth = Math.sqrt(names.reduce((total, name) => total + (components[name].gramsPerHour * components[name].uncertainty) ** 2, 0));
+  return {
+    source: names.length > 0 ? 'catalog' : 'none',
+    kgCO2e: names.reduce((total, name) => total + components[name].kgCO2e, 0),
+    lifetimeYears: null,
+    gramsPerHour: totalGramsPerHour,
+    uncertainty: totalGramsPerHour > 0 ? halfWidth / totalGramsPerHour : 0,
+    components
+  };
+};
+
+// Break a session's energy use and emissions down by component so clients can see which one dominates.
+// Energy is reported in Wh and kWh; emissions are Wh x kgCO2e/kWh, i.e. grams of CO2e.
+const buildEmissionBreakdown = (watts, sessionDuration, carbonFactor) => {
+  const components = {};
+  let totalWatts = 0;
+
+  Object.keys(watts).forEach(name => {
+    const componentWatts = Number(watts[name]) || 0;
+    const componentEnergyWh = (componentWatts * sessionDuration) / 3600;
+    totalWatts += componentWatts;
+    components[name] = {
+      watts: componentWatts,
+      energyWh: componentEnergyWh,
+      energyKwh: componentEnergyWh / 1000,
+      carbonEmissions: componentEnergyWh * carbonFactor.factor
+    };
+  });
+
+  const energyWh = (totalWatts * sessionDuration) / 3600;
+  return {
+    components,
+    totalWatts,
+    sessionDuration,
+    energyWh,
+    energyKwh: energyWh / 1000,
+    carbonFactor: carbonFactor.factor,
+    region: carbonFactor.region,
+    carbonFactorIsDefault: carbonFactor.isDefault,
+    carbonEmissions: energyWh * carbonFactor.factor,
+    emissionsUnit: 'gCO2e'
+  };
+};
+
+// Estimated electricity cost of a session's energy at a tariff, in the tariff's currency. Network transfer
+// energy is left out since it is drawn by network operators, not billed to the user. Returns null without a tariff.
+const estimateEnergyCost = (energyWh, tariff) => {
+  if (!tariff) {
+    return null;
+  }
+  const energyKwh = (Number(energyWh) || 0) / 1000;
+  return {
+    tariffId: tariff.id,
+    currency: tariff.currency,
+    pricePerKwh: tariff.pricePerKwh,
+    energyKwh,
+    cost: energyKwh * tariff.pricePerKwh
+  };
+};
+
+// Ledger sources whose emissions were not computed from energy use, so they are never recalculated
+const UNMETERED_SESSION_SOURCES = ['legacy', 'manual'];
+
+// Ledger sources of sessions run on a user's own device, named after the device class
+const DEVICE_SESSION_SOURCES = ['desktop', 'mobile'];
+
+// Seconds a reported duration may differ from its endedAt - startedAt span, allowing for clients that round
+// timestamps and durations to whole seconds separately
+const SESSION_WINDOW_TOLERANCE_SECONDS = 5;
+
+// Resolve a session's start and end times, defaulting to a session that ended now. A window that ends before
+// it starts, or whose span disagrees with the duration reported beside it, is rejected.
+const resolveSessionWindow = (sessionDuration, startedAt, endedAt) => {
+  const end = endedAt ? new Date(endedAt) : (startedAt ? new Date(new Date(startedAt).getTime() + sessionDuration * 1000) : new Date());
+  const start = startedAt ? new Date(startedAt) : new Date(end.getTime() - sessionDuration * 1000);
+  if (start.getTime() > end.getTime()) {
+    throw new EmissionError(400, 'startedAt must not be after endedAt');
+  }
+  if (startedAt && endedAt && Math.abs((end.getTime() - start.getTime()) / 1000 - sessionDuration) > SESSION_WINDOW_TOLERANCE_SECONDS) {
+    throw new EmissionError(400, `sessionDuration must match the time between startedAt and endedAt to within ${SESSION_WINDOW_TOLERANCE_SECONDS} seconds`);
+  }
+  return { startedAt: start, endedAt: end };
+};
+
+// Split a session window into the UTC clock hours it overlaps, with the seconds spent in each.
+// A zero-length session still yields its starting hour so it can be priced.
+const splitSessionByHour = (startedAt, endedAt) => {
+  const start = new Date(startedAt).getTime();
+  const end = Math.max(new Date(endedAt).getTime(), start);
+  const segments = [];
+  let hourStart = Math.floor(start / 3600000) * 3600000;
+  do {
+    const hourEnd = hourStart + 3600000;
+    segments.push({
+      hourStart: new Date(hourStart),
+      seconds: (Math.min(end, hourEnd) - Math.max(start, hourStart)) / 1000
+    });
+    hourStart = hourEnd;
+  } while (hourStart < end);
+  return segments;
+};
+
+// Catalog tables and wattage columns for each device class; RAM is shared by both
+const DEVICE_CATALOGS = {
+  desktop: {
+    cpu: { table: 'cpus', wattsColumn: 'avg_watt_usage' },
+    gpu: { table: 'gpus', wattsColumn: 'avg_watt_usage' }
+  },
+  mobile: {
+    cpu: { table: 'cpusm', wattsColumn: 'cpu_watts' },
+    gpu: { table: 'gpusm', wattsColumn: 'gpu_watts' }
+  }
+};
+
+// Peripheral catalogs that can be attached to a device several times; quantity multiplies the unit draw
+const PERIPHERAL_CATALOGS = {
+  storage: { table: 'storage_drives', label: 'Storage drive' },
+  display: { table: 'displays', label: 'Display' }
+};
+
+// Most units of one peripheral model attachable to a device
+const MAX_PERIPHERAL_QUANTITY = 16;
+
+// Whether a value names a peripheral catalog (own keys only, so 'constructor' and the like don't pass)
+const isPeripheralType = (type) => typeof type === 'string' && Object.prototype.hasOwnProperty.call(PERIPHERAL_CATALOGS, type);
+
+// Validate a request's peripherals list ([{ type, model, quantity }]) into a normalized array
+const normalizePeripherals = (peripherals) => {
+  if (peripherals === undefined || peripherals === null) {
+    return [];
+  }
+  if (!Array.isArray(peripherals)) {
+    throw new EmissionError(400, 'peripherals must be an array');
+  }
+
+  return peripherals.map(peripheral => {
+    if (!peripheral || !isPeripheralType(peripheral.type)) {
+      throw new EmissionError(400, `Peripheral type must be one of: ${Object.keys(PERIPHERAL_CATALOGS).join(', ')}`);
+    }
+    if (!peripheral.model) {
+      throw new EmissionError(400, 'Peripheral model is required');
+    }
+    const quantity = peripheral.quantity === undefined ? 1 : Number(peripheral.quantity);
+    if (!Number.isInteger(quantity) || quantity < 1 || quantity > MAX_PERIPHERAL_QUANTITY) {
+      throw new EmissionError(400, `Peripheral quantity must be a whole number from 1 to ${MAX_PERIPHERAL_QUANTITY}`);
+    }
+    return { type: peripheral.type, model: String(peripheral.model), quantity };
+  });
+};
+
+// Energy meters accepted for measured sessions. Component meters (Intel RAPL package/DRAM counters, NVIDIA
+// NVML) report the DC energy of individual components; system meters (smart plugs, inline power meters)
+// report the whole device at the wall, PSU losses included. A battery reading is the whole device's DC draw,
+// so the charger losses of putting it back are added (dcSide), and only mobile devices have one.
+// uncertaintyPct is the meter's typical error.
+const ENERGY_METERS = {
+  rapl: { scope: 'components', components: ['cpu', 'ram'], uncertaintyPct: 5 },
+  nvml: { scope: 'components', components: ['gpu'], uncertaintyPct: 5 },
+  smart_plug: { scope: 'system', uncertaintyPct: 3 },
+  power_meter: { scope: 'system', uncertaintyPct: 1 },
+  battery: { scope: 'system', dcSide: true, deviceClass: 'mobile', uncertaintyPct: 10 }
+};
+
+// Whether a value names an energy meter (own keys only, so 'toString' and the like don't pass)
+const isEnergyMeter = (meter) => typeof meter === 'string' && Object.prototype.hasOwnProperty.call(ENERGY_METERS, meter);
+
+// Validate a measured energy reading: { meter, energyWh } for system meters or { meter, components: { cpu, ram } }
+// (Wh per component) for component meters. Returns null when no meter is given.
+const normalizeEnergyMeasurement = (measurement) => {
+  if (!measurement || !measurement.meter) {
+    return null;
+  }
+  if (!isEnergyMeter(measurement.meter)) {
+    throw new EmissionError(400, `meter must be one of: ${Object.keys(ENERGY_METERS).join(', ')}`);
+  }
+  const meter = ENERGY_METERS[measurement.meter];
+  const isEnergy = (value) => value !== undefined && value !== null && !isNaN(Number(value)) && Number(value) >= 0;
+
+  if (meter.scope === 'system') {
+    if (!isEnergy(measurement.energyWh)) {
+      throw new EmissionError(400, `A non-negative energyWh is required for ${measurement.meter} readings`);
+    }
+    return { meter: measurement.meter, scope: 'system', energyWh: Number(measurement.energyWh), components: null };
+  }
+
+  const components = {};
+  Object.keys(measurement.components || {}).forEach(name => {
+    if (!meter.components.includes(name) || !isEnergy(measurement.components[name])) {
+      throw new EmissionError(400, `${measurement.meter} readings take non-negative Wh for: ${meter.components.join(', ')}`);
+    }
+    components[name] = Number(measurement.components[name]);
+  });
+  if (Object.keys(components).length === 0) {
+    throw new EmissionError(400, `${measurement.meter} readings take non-negative Wh for: ${meter.components.join(', ')}`);
+  }
+  return {
+    meter: measurement.meter,
+    scope: 'components',
+    energyWh: Object.values(components).reduce((total, energyWh) => total + energyWh, 0),
+    components
+  };
+};
+
+// Turn a mobile client's battery report into a measurement: batteryDischargeMwh is the charge drawn from the
+// battery over the session. Returns null when there is no reading or the device was charging (the battery
+// level then says nothing about consumption), so the catalog model is used, and NaN for an invalid reading.
+const parseBatteryReading = ({ batteryDischargeMwh, charging } = {}) => {
+  if (charging === true || charging === 'true') {
+    return null;
+  }
+  if (batteryDischargeMwh === undefined || batteryDischargeMwh === null || batteryDischargeMwh === '') {
+    return null;
+  }
+  const dischargeMwh = Number(batteryDischargeMwh);
+  if (isNaN(dischargeMwh) || dischargeMwh < 0) {
+    return NaN;
+  }
+  return normalizeEnergyMeasurement({ meter: 'battery', energyWh: dischargeMwh / 1000 });
+};
+
+// Let a measured reading take precedence over the catalog estimate of a device's draw. Measured energy becomes
+// an average draw over the session; a system reading replaces every component except external displays, which
+// a wall meter on the device does not see, and component readings replace just those components, with the PSU
+// losses re-modeled on the new DC total. energySource labels the result as measured, or mixed when any
+// estimated draw remains.
+const applyEnergyMeasurement = (wattage, measurement, sessionDuration, device) => {
+  if (!measurement) {
+    return { ...wattage, energySource: 'estimated', measurement: null };
+  }
+  if (!isEnergyMeter(measurement.meter)) {
+    throw new EmissionError(400, `meter must be one of: ${Object.keys(ENERGY_METERS).join(', ')}`);
+  }
+  const meter = ENERGY_METERS[measurement.meter];
+  if (meter.deviceClass && meter.deviceClass !== wattage.deviceClass) {
+    throw new EmissionError(400, `${measurement.meter} readings are only accepted for ${meter.deviceClass} devices`);
+  }
+  const toWatts = (energyWh) => energyWh * 3600 / sessionDuration;
+  const meterUncertainty = meter.uncertaintyPct / 100;
+
+  let watts;
+  let wattUncertainty;
+  if (measurement.scope === 'system') {
+    const systemWatts = toWatts(measurement.energyWh);
+    watts = meter.dcSide
+      ? { system: systemWatts, psu: modelPsuEfficiency(systemWatts, device.psu, device.psu_tier).lossWatts, display: wattage.watts.display }
+      : { system: systemWatts, display: wattage.watts.display };
+    wattUncertainty = { system: meterUncertainty, psu: wattage.wattUncertainty.psu, display: wattage.wattUncertainty.display };
+  } else {
+    const { psu, display, ...componentWatts } = wattage.watts;
+    Object.keys(measurement.components).forEach(name => {
+      componentWatts[name] = toWatts(measurement.components[name]);
+    });
+    const dcWatts = Object.values(componentWatts).reduce((total, componentDraw) => total + componentDraw, 0);
+    watts = { ...componentWatts, psu: modelPsuEfficiency(dcWatts, device.psu, device.psu_tier).lossWatts, display };
+    wattUncertainty = { ...wattage.wattUncertainty };
+    Object.keys(measurement.components).forEach(name => {
+      wattUncertainty[name] = meterUncertainty;
+    });
+  }
+
+  // Charger losses on a battery reading follow from the measured draw, so they don't make it an estimate
+  const estimatedWatts = Object.keys(watts)
+    .filter(name => name !== 'system' && !(measurement.components && name in measurement.components))
+    .filter(name => !(meter.dcSide && name === 'psu'))
+    .reduce((total, name) => total + watts[name], 0);
+  return {
+    ...wattage,
+    watts,
+    wattUncertainty,
+    energySource: estimatedWatts > 0 ? 'mixed' : 'measured',
+    measurement
+  };
+};
+
+// Map a user_devices.device value ('Laptop', 'Personal Computer', ...) to a catalog device class
+const getDeviceClass = (deviceType) => (/laptop|mobile|phone|tablet/i.test(deviceType || '') ? 'mobile' : 'desktop');
+
+// options.intensityProvider (see intensityProviders.js) supplies hourly grid intensity; without one, or for
+// hours it has no data for, sessions are charged the region's flat carbon factor.
+function createEmissionEngine(query, { intensityProvider = null } = {}) {
+  // Get the carbon factor for a region from the carbon_factors table.
+  // Options: subGrid narrows the match, at selects the version effective on that date (defaults to now).
+  // Unknown regions resolve to DEFAULT_CARBON_FACTOR with isDefault set so callers can flag the estimate.
+  const getCarbonFactor = async (region, options = {}) => {
+    const { subGrid = null, at = new Date() } = options;
+
+    const factors = await query(`
+      SELECT ${CARBON_FACTOR_COLUMNS}
+      FROM carbon_factors
+      WHERE region = ? OR country = ?
+    `, [region, region]);
+
+    return selectCarbonFactor(factors, region, subGrid, at);
+  };
+
+  // Weight a flat carbon factor by the hourly intensity of the hours a session ran: each hour contributes its
+  // factor in proportion to the seconds spent in it, which matches splitting the session's energy across them
+  // at constant draw. The result keeps the flat factor's version and uncertainty; a provider failure falls back
+  // to the flat factor rather than failing the session.
+  const applyIntensityProfile = async (carbonFactor, region, { startedAt, endedAt }) => {
+    if (!intensityProvider || !region) {
+      return carbonFactor;
+    }
+
+    let hourly;
+    try {
+      hourly = await intensityProvider.getHourlyIntensity(region, { from: new Date(startedAt), to: new Date(endedAt) });
+    } catch (error) {
+      console.error(`Error fetching hourly carbon intensity for ${region}:`, error);
+      return carbonFactor;
+    }
+    if (!hourly || hourly.length === 0) {
+      return carbonFactor;
+    }
+
+    const factorsByHour = new Map(hourly.map(hour => [new Date(hour.start).getTime(), Number(hour.factor)]));
+    const segments = splitSessionByHour(startedAt, endedAt).map(segment => {
+      const profileFactor = factorsByHour.get(segment.hourStart.getTime());
+      const fromProfile = profileFactor !== undefined && !isNaN(profileFactor);
+      return { ...segment, factor: fromProfile ? profileFactor : carbonFactor.factor, fromProfile };
+    });
+
+    const totalSeconds = segments.reduce((total, segment) => total + segment.seconds, 0);
+    const factor = totalSeconds > 0
+      ? segments.reduce((total, segment) => total + segment.factor * segment.seconds, 0) / totalSeconds
+      : segments[0].factor;
+
+    return {
+      ...carbonFactor,
+      factor,
+      flatFactor: carbonFactor.factor,
+      intensitySource: intensityProvider.name,
+      isDefault: carbonFactor.isDefault && segments.some(segment => !segment.fromProfile),
+      hourly: segments
+    };
+  };
+
+  // Get the carbon factor for a session window: the flat factor version in effect at its start,
+  // weighted by hourly intensity when a provider has data for the region
+  const getSessionCarbonFactor = async (region, { subGrid = null, startedAt, endedAt }) => {
+    const carbonFactor = await getCarbonFactor(region, { subGrid, at: startedAt });
+    return applyIntensityProfile(carbonFactor, region, { startedAt, endedAt });
+  };
+
+  // Get the network energy intensity (kWh/GB) effective on a date, or the default when none is configured
+  const getNetworkEnergyFactor = async (at = new Date()) => {
+    const results = await query(`
+      SELECT id, kwh_per_gb, uncertainty_pct
+      FROM network_energy_factors
+      WHERE effective_from <= ?
+      ORDER BY effective_from DESC
+      LIMIT 1
+    `, [toDateString(at)]);
+
+    if (results.length === 0) {
+      return { id: null, kwhPerGb: DEFAULT_NETWORK_KWH_PER_GB, uncertainty: DEFAULT_UNCERTAINTY_PCT.network / 100, isDefault: true };
+    }
+    return {
+      id: results[0].id,
+      kwhPerGb: Number(results[0].kwh_per_gb),
+      uncertainty: toUncertaintyFraction(results[0].uncertainty_pct, DEFAULT_UNCERTAINTY_PCT.network),
+      isDefault: false
+    };
+  };
+
+  // Get the electricity tariff for a region effective on a date, or null when the region has none
+  const getElectricityTariff = async (region, at = new Date()) => {
+    if (!region) {
+      return null;
+    }
+    const results = await query(`
+      SELECT id, region, currency, price_per_kwh
+      FROM electricity_tariffs
+      WHERE region = ? AND effective_from <= ?
+      ORDER BY effective_from DESC
+      LIMIT 1
+    `, [region, toDateString(at)]);
+
+    if (results.length === 0) {
+      return null;
+    }
+    return {
+      id: results[0].id,
+      region: results[0].region,
+      currency: results[0].currency,
+      pricePerKwh: Number(results[0].price_per_kwh)
+    };
+  };
+
+  // Energy and emissions of the data a session moved over the network. The transfer is charged at the
+  // session's own carbon factor, since the networks involved are not known. Returns null without a byte count.
+  const estimateNetworkTransfer = async (bytesTransferred, carbonFactor, at) => {
+    if (bytesTransferred === null || bytesTransferred === undefined) {
+      return null;
+    }
+    if (Number.isNaN(bytesTransferred)) {
+      throw new EmissionError(400, 'bytesTransferred must be a non-negative number of bytes');
+    }
+
+    const networkFactor = await getNetworkEnergyFactor(at);
+    const gigabytes = bytesTransferred / 1e9;
+    const energyWh = gigabytes * networkFactor.kwhPerGb * 1000;
+    const carbonEmissions = energyWh * carbonFactor.factor;
+    return {
+      bytesTransferred,
+      gigabytes,
+      kwhPerGb: networkFactor.kwhPerGb,
+      networkFactorId: networkFactor.id,
+      networkFactorIsDefault: networkFactor.isDefault,
+      energyWh,
+      energyKwh: energyWh / 1000,
+      carbonEmissions,
+      uncertainty: buildUncertaintyRange(
+        carbonEmissions,
+        carbonEmissions * Math.sqrt(networkFactor.uncertainty ** 2 + carbonFactor.uncertainty ** 2)
+      )
+    };
+  };
+
+  // Look up a CPU or GPU model in the catalog table for the device class
+  const getCatalogEntry = async (deviceClass, component, model) => {
+    const { table, wattsColumn } = DEVICE_CATALOGS[deviceClass][component];
+    const results = await query(
+      `SELECT ${wattsColumn} AS avg_watt_usage, idle_watts, peak_watts, embodied_kgco2e, lifetime_years, uncertainty_pct FROM ${table} WHERE model = ?`,
+      [model]
+    );
+
+    if (results.length === 0) {
+      throw new EmissionError(404, `${component.toUpperCase()} not found in the ${deviceClass} catalog`);
+    }
+    return results[0];
+  };
+
+  // Look up each attached peripheral in its catalog, scaling draw and embodied carbon by quantity
+  const getPeripheralEntries = async (peripherals) => {
+    const entries = [];
+    for (const peripheral of peripherals) {
+      if (!isPeripheralType(peripheral.type)) {
+        throw new EmissionError(400, `Peripheral type must be one of: ${Object.keys(PERIPHERAL_CATALOGS).join(', ')}`);
+      }
+      const { table, label } = PERIPHERAL_CATALOGS[peripheral.type];
+      const results = await query(
+        `SELECT avg_watt_usage, embodied_kgco2e, lifetime_years, uncertainty_pct FROM ${table} WHERE model = ?`,
+        [peripheral.model]
+      );
+      if (results.length === 0) {
+        throw new EmissionError(404, `${label} ${peripheral.model} not found in the catalog`);
+      }
+
+      const entry = results[0];
+      entries.push({
+        ...peripheral,
+        watts: (Number(entry.avg_watt_usage) || 0) * peripheral.quantity,
+        embodied_kgco2e: entry.embodied_kgco2e == null ? null : Number(entry.embodied_kgco2e) * peripheral.quantity,
+        lifetime_years: entry.lifetime_years,
+        uncertainty_pct: entry.uncertainty_pct
+      });
+    }
+    return entries;
+  };
+
+  // Resolve a device's component draw from the catalog, scaled by utilization where reported,
+  // plus the PSU or charger conversion losses on top
+  const getDeviceWattage = async (device, { cpuUtilization = null, gpuUtilization = null } = {}) => {
+    const deviceClass = getDeviceClass(device.device);
+    const cpuData = await getCatalogEntry(deviceClass, 'cpu', device.cpu);
+    const gpuData = await getCatalogEntry(deviceClass, 'gpu', device.gpu);
+    const ramResults = await query('SELECT avg_watt_usage, embodied_kgco2e, lifetime_years, uncertainty_pct FROM ram WHERE ddr_generation = ?', [device.ram]);
+
+    if (ramResults.length === 0) {
+      throw new EmissionError(404, 'RAM not found in the catalog');
+    }
+
+    // user_devices.motherboard predates the catalog and is free text, so an unmatched board adds nothing
+    const motherboardResults = device.motherboard
+      ? await query('SELECT avg_watt_usage, embodied_kgco2e, lifetime_years, uncertainty_pct FROM motherboards WHERE model = ?', [device.motherboard])
+      : [];
+    const motherboardData = motherboardResults[0] || null;
+    const peripherals = await getPeripheralEntries(device.peripherals || []);
+    const peripheralWatts = (type) => peripherals
+      .filter(peripheral => peripheral.type === type)
+      .reduce((total, peripheral) => total + peripheral.watts, 0);
+
+    const powerModel = {
+      cpu: estimateComponentWatts(cpuData, cpuUtilization),
+      gpu: estimateComponentWatts(gpuData, gpuUtilization)
+    };
+    const componentWatts = {
+      cpu: powerModel.cpu.watts,
+      gpu: powerModel.gpu.watts,
+      ram: Number(ramResults[0].avg_watt_usage) || 0,
+      motherboard: motherboardData ? Number(motherboardData.avg_watt_usage) || 0 : 0,
+      storage: peripheralWatts('storage')
+    };
+
+    // The PSU rating is a capacity, not a draw, so charge only its conversion losses.
+    // Displays are powered from the wall directly, so they sit outside the PSU model.
+    const dcWatts = Object.values(componentWatts).reduce((total, watts) => total + watts, 0);
+    const psuModel = modelPsuEfficiency(dcWatts, device.psu, device.psu_tier);
+
+    // Relative wattage uncertainty per component; peripherals of one type are weighted by their draw
+    const wattageFraction = (entry) => toUncertaintyFraction(entry && entry.uncertainty_pct, DEFAULT_UNCERTAINTY_PCT.wattage);
+    const peripheralFraction = (type) => {
+      const matching = peripherals.filter(peripheral => peripheral.type === type);
+      const watts = peripheralWatts(type);
+      return watts > 0
+        ? matching.reduce((total, peripheral) => total + peripheral.watts * wattageFraction(peripheral), 0) / watts
+        : DEFAULT_UNCERTAINTY_PCT.wattage / 100;
+    };
+    const wattUncertainty = {
+      cpu: wattageFraction(cpuData),
+      gpu: wattageFraction(gpuData),
+      ram: wattageFraction(ramResults[0]),
+      motherboard: wattageFraction(motherboardData),
+      storage: peripheralFraction('storage'),
+      display: peripheralFraction('display'),
+      psu: DEFAULT_UNCERTAINTY_PCT.wattage / 100
+    };
+
+    const embodiedEntries = { cpu: cpuData, gpu: gpuData, ram: ramResults[0] };
+    if (motherboardData) {
+      embodiedEntries.motherboard = motherboardData;
+    }
+    peripherals.forEach(peripheral => {
+      embodiedEntries[`${peripheral.type}:${peripheral.model}`] = peripheral;
+    });
+
+    return {
+      deviceClass,
+      watts: { ...componentWatts, psu: psuModel.lossWatts, display: peripheralWatts('display') },
+      powerModel,
+      psu: psuModel,
+      motherboard: { model: device.motherboard || null, matched: Boolean(motherboardData) },
+      peripherals: peripherals.map(({ type, model, quantity, watts }) => ({ type, model, quantity, watts })),
+      wattUncertainty,
+      embodied: modelEmbodiedCarbon(device, embodiedEntries)
+    };
+  };
+
+  // Get the user's region and a device, defaulting to their current device
+  const getCurrentDevice = async (userId, deviceId = null) => {
+    const users = await query('SELECT current_device_id, region FROM users WHERE id = ?', [userId]);
+    if (users.length === 0 || !(deviceId || users[0].current_device_id)) {
+      throw new EmissionError(404, 'Current device not set');
+    }
+
+    const devices = await query(
+      'SELECT id, device, cpu, gpu, ram, motherboard, psu, psu_tier, embodied_kgco2e, lifetime_years FROM user_devices WHERE id = ? AND user_id = ?',
+      [deviceId || users[0].current_device_id, userId]
+    );
+    if (devices.length === 0) {
+      throw new EmissionError(404, 'User device information not found');
+    }
+
+    const peripherals = await query(
+      'SELECT peripheral_type AS type, model, quantity FROM device_peripherals WHERE device_id = ? ORDER BY id',
+      [devices[0].id]
+    );
+    return { device: { ...devices[0], peripherals }, region: users[0].region };
+  };
+
+  // Check the user owns or is a member of the project
+  const assertProjectAccess = async (projectId, userId) => {
+    const results = await query(`
+      SELECT id FROM user_history
+      WHERE id = ? AND (user_id = ? OR id IN (SELECT project_id FROM project_members WHERE user_id = ?))
+    `, [projectId, userId, userId]);
+
+    if (results.length === 0) {
+      throw new EmissionError(404, 'Project not found or no permission to record sessions');
+    }
+  };
+
+  // Derive a project's session_duration, energy_wh, carbon_emit, embodied_emit and network_emit totals, and the
+  // low/high bounds of their sum, from its emission_sessions ledger. Session bounds add linearly, which keeps the
+  // project range conservative. Energy cost is only totalled when every costed session shares one currency;
+  // measured_energy_wh is the part of energy_wh that came from meter readings.
+  const refreshProjectTotals = (projectId) => query(`
+    UPDATE user_history uh
+    SET carbon_emit = (SELECT COALESCE(SUM(es.carbon_emit), 0) FROM emission_sessions es WHERE es.project_id = uh.id),
+        embodied_emit = (SELECT COALESCE(SUM(es.embodied_emit), 0) FROM emission_sessions es WHERE es.project_id = uh.id),
+        network_emit = (SELECT COALESCE(SUM(es.network_emit), 0) FROM emission_sessions es WHERE es.project_id = uh.id),
+        emissions_low = (SELECT COALESCE(SUM(es.emissions_low), 0) FROM emission_sessions es WHERE es.project_id = uh.id),
+        emissions_high = (SELECT COALESCE(SUM(es.emissions_high), 0) FROM emission_sessions es WHERE es.project_id = uh.id),
+        energy_wh = (SELECT COALESCE(SUM(es.energy_wh), 0) FROM emission_sessions es WHERE es.project_id = uh.id),
+        measured_energy_wh = (SELECT COALESCE(SUM(es.measured_energy_wh), 0) FROM emission_sessions es WHERE es.project_id = uh.id),
+        energy_cost = (
+          SELECT CASE WHEN COUNT(DISTINCT es.cost_currency) = 1 THEN SUM(es.energy_cost) END
+          FROM emission_sessions es WHERE es.project_id = uh.id
+        ),
+        cost_currency = (
+          SELECT CASE WHEN COUNT(DISTINCT es.cost_currency) = 1 THEN MIN(es.cost_currency) END
+          FROM emission_sessions es WHERE es.project_id = uh.id
+        ),
+        session_duration = (SELECT COALESCE(SUM(es.session_duration), 0) FROM emission_sessions es WHERE es.project_id = uh.id)
+    WHERE uh.id = ?
+  `, [projectId]);
+
+  // Append a session to the emission_sessions ledger, stamped with the device, wattage, carbon factor
+  // version and electricity tariff used (and the project stage, when the source attributes one), then
+  // refresh the project's totals from the ledger
+  const recordEmissionSession = async (session) => {
+    const { startedAt, endedAt } = resolveSessionWindow(session.sessionDuration, session.startedAt, session.endedAt);
+    const energyCost = estimateEnergyCost(session.energyWh, await getElectricityTariff(session.region, startedAt));
+    const watts = session.watts || {};
+    const utilization = session.utilization || {};
+    const network = session.network || null;
+    // Sessions recorded without an uncertainty estimate (e.g. manual totals) get a zero-width range
+    const centralEmissions = session.carbonEmissions + (session.embodiedEmissions || 0) + (network ? network.carbonEmissions : 0);
+    const range = session.uncertainty || buildUncertaintyRange(centralEmissions, 0);
+
+    const insertResult = await query(`
+      INSERT INTO emission_sessions (
+        project_id, user_id, device_id, device_snapshot, source, region, sub_grid,
+        session_duration, cpu_utilization, gpu_utilization, cpu_watts, gpu_watts, ram_watts, motherboard_watts,
+        storage_watts, display_watts, psu_watts, total_watts,
+        energy_wh, carbon_factor_id, carbon_factor, carbon_factor_region, carbon_emit, embodied_emit,
+        bytes_transferred, network_factor_id, network_energy_wh, network_emit, emissions_low, emissions_high,
+        tariff_id, energy_cost, cost_currency, intensity_source, energy_source, meter, measured_energy_wh,
+        stage, started_at, ended_at
+      )
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      session.projectId,
+      session.userId,
+      session.device ? session.device.id : null,
+      session.device ? JSON.stringify(session.device) : null,
+      session.source,
+      session.region,
+      session.subGrid || null,
+      session.sessionDuration,
+      utilization.cpu ?? null,
+      utilization.gpu ?? null,
+      watts.cpu || 0,
+      watts.gpu || 0,
+      watts.ram || 0,
+      watts.motherboard || 0,
+      watts.storage || 0,
+      watts.display || 0,
+      watts.psu || 0,
+      session.totalWatts || 0,
+      session.energyWh,
+      session.carbonFactor.id,
+      session.carbonFactor.factor,
+      session.carbonFactor.region || null,
+      session.carbonEmissions,
+      session.embodiedEmissions || 0,
+      network ? network.bytesTransferred : null,
+      network ? network.networkFactorId : null,
+      network ? network.energyWh : 0,
+      network ? network.carbonEmissions : 0,
+      range.low,
+      range.high,
+      energyCost ? energyCost.tariffId : null,
+      energyCost ? energyCost.cost : null,
+      energyCost ? energyCost.currency : null,
+      session.carbonFactor.intensitySource || null,
+      session.energySource || 'estimated',
+      session.measurement ? session.measurement.meter : null,
+      session.measurement ? session.measurement.energyWh : null,
+      session.stage || null,
+      startedAt,
+      endedAt
+    ]);
+
+    await refreshProjectTotals(session.projectId);
+    return { sessionId: insertResult.insertId, startedAt, endedAt, energyCost };
+  };
+
+  // Calculate and record one session on the user's current device (or deviceId). This is the single
+  // path every route and ingestion source uses, so permissions and accounting stay identical.
+  const calculateSession = async ({
+    userId,
+    projectId,
+    deviceId = null,
+    sessionDuration,
+    subGrid = null,
+    startedAt,
+    endedAt,
+    cpuUtilization = null,
+    gpuUtilization = null,
+    bytesTransferred = null,
+    measurement = null
+  }) => {
+    const duration = Number(sessionDuration);
+    if (sessionDuration === undefined || sessionDuration === null || isNaN(duration) || duration < 0) {
+      throw new EmissionError(400, 'sessionDuration must be a non-negative number of seconds');
+    }
+    if (Number.isNaN(measurement)) {
+      throw new EmissionError(400, 'batteryDischargeMwh must be a non-negative number');
+    }
+    if (measurement && !(duration > 0)) {
+      throw new EmissionError(400, 'Measured sessions need a positive duration');
+    }
+    if (Number.isNaN(cpuUtilization) || Number.isNaN(gpuUtilization)) {
+      throw new EmissionError(400, 'Utilization values must be percentages between 0 and 100');
+    }
+    if (Number.isNaN(bytesTransferred)) {
+      throw new EmissionError(400, 'bytesTransferred must be a non-negative number of bytes');
+    }
+    const window = resolveSessionWindow(duration, startedAt, endedAt);
+    if (isNaN(window.startedAt.getTime()) || isNaN(window.endedAt.getTime())) {
+      throw new EmissionError(400, 'startedAt and endedAt must be valid timestamps');
+    }
+
+    await assertProjectAccess(projectId, userId);
+    const { device, region } = await getCurrentDevice(userId, deviceId);
+    // A measured reading (see normalizeEnergyMeasurement) replaces the catalog estimate for what it covers
+    const wattage = applyEnergyMeasurement(await getDeviceWattage(device, { cpuUtilization, gpuUtilization }), measurement, duration, device);
+    // Use the factor version in effect when the session ran, which matters for late uploads,
+    // weighted by the hours of day it spanned
+    const carbonFactor = await getSessionCarbonFactor(region, { subGrid, ...window });
+
+    // Manufacturing carbon and network transfer are reported beside, not inside, the device's operational emissions
+    const embodiedEmissions = wattage.embodied.gramsPerHour * duration / 3600;
+    const network = await estimateNetworkTransfer(bytesTransferred, carbonFactor, window.startedAt);
+    const networkEmissions = network ? network.carbonEmissions : 0;
+    const operationalBreakdown = buildEmissionBreakdown(wattage.watts, duration, carbonFactor);
+    const uncertainty = {
+      operational: estimateOperationalUncertainty(operationalBreakdown, wattage.wattUncertainty, carbonFactor.uncertainty),
+      embodied: buildUncertaintyRange(embodiedEmissions, embodiedEmissions * wattage.embodied.uncertainty),
+      network: network ? network.uncertainty : null
+    };
+    uncertainty.total = combineUncertaintyRanges([uncertainty.operational, uncertainty.embodied, uncertainty.network]);
+    const breakdown = {
+      ...operationalBreakdown,
+      deviceClass: wattage.deviceClass,
+      powerModel: wattage.powerModel,
+      psu: wattage.psu,
+      motherboard: wattage.motherboard,
+      peripherals: wattage.peripherals,
+      energySource: wattage.energySource,
+      measurement: wattage.measurement,
+      embodied: { ...wattage.embodied, carbonEmissions: embodiedEmissions },
+      network
+    };
+
+    const recorded = await recordEmissionSession({
+      projectId,
+      userId,
+      device,
+      source: wattage.deviceClass,
+      region,
+      subGrid,
+      sessionDuration: duration,
+      utilization: { cpu: cpuUtilization, gpu: gpuUtilization },
+      watts: wattage.watts,
+      totalWatts: breakdown.totalWatts,
+      energyWh: breakdown.energyWh,
+      energySource: wattage.energySource,
+      measurement: wattage.measurement,
+      carbonFactor,
+      carbonEmissions: breakdown.carbonEmissions,
+      embodiedEmissions,
+      network,
+      uncertainty: uncertainty.total,
+      startedAt: window.startedAt,
+      endedAt: window.endedAt
+    });
+
+    return {
+      carbonEmissions: breakdown.carbonEmissions,
+      embodiedEmissions,
+      networkEmissions,
+      totalEmissions: breakdown.carbonEmissions + embodiedEmissions + networkEmissions,
+      uncertainty,
+      energyKwh: breakdown.energyKwh,
+      energySource: wattage.energySource,
+      energyCost: recorded.energyCost,
+      carbonFactor,
+      breakdown,
+      sessionId: recorded.sessionId
+    };
+  };
+
+  // Run a session submission at most once per (user, idempotency key). Repeats with the same payload get the
+  // stored result back flagged as a replay; a different payload or a request still in flight is rejected.
+  // Without a key the submission simply runs.
+  const withIdempotencyKey = async (userId, idempotencyKey, payload, submit) => {
+    if (idempotencyKey === undefined || idempotencyKey === null || idempotencyKey === '') {
+      return submit();
+    }
+    if (typeof idempotencyKey !== 'string' || idempotencyKey.length > 255) {
+      throw new EmissionError(400, 'Idempotency key must be a string of at most 255 characters');
+    }
+
+    const requestHash = crypto.createHash('sha256').update(JSON.stringify(payload)).digest('hex');
+    const existing = await query(
+      'SELECT request_hash, status, response FROM idempotency_keys WHERE user_id = ? AND idempotency_key = ?',
+      [userId, idempotencyKey]
+    );
+
+    if (existing.length > 0) {
+      const record = existing[0];
+      if (record.request_hash !== requestHash) {
+        throw new EmissionError(422, 'Idempotency key was already used for a different request');
+      }
+      if (record.status !== 'completed') {
+        throw new EmissionError(409, 'A request with this idempotency key is still being processed');
+      }
+      const response = typeof record.response === 'string' ? JSON.parse(record.response) : record.response;
+      return { ...response, idempotentReplay: true };
+    }
+
+    try {
+      await query(
+        `INSERT INTO idempotency_keys (user_id, idempotency_key, request_hash, status) VALUES (?, ?, ?, 'pending')`,
+        [userId, idempotencyKey, requestHash]
+      );
+    } catch (err) {
+      if (err.code === 'ER_DUP_ENTRY') {
+        throw new EmissionError(409, 'A request with this idempotency key is still being processed');
+      }
+      throw err;
+    }
+
+    let result;
+    try {
+      result = await submit();
+    } catch (error) {
+      // Free the key so the client can retry after a failure
+      await query('DELETE FROM idempotency_keys WHERE user_id = ? AND idempotency_key = ?', [userId, idempotencyKey]);
+      throw error;
+    }
+
+    await query(
+      `UPDATE idempotency_keys SET status = 'completed', response = ?, emission_session_id = ? WHERE user_id = ? AND idempotency_key = ?`,
+      [JSON.stringify(result), result.sessionId || null, userId, idempotencyKey]
+    );
+    return { ...result, idempotentReplay: false };
+  };
+
+  return {
+    withIdempotencyKey,
+    getCarbonFactor,
+    applyIntensityProfile,
+    getSessionCarbonFactor,
+    getNetworkEnergyFactor,
+    getElectricityTariff,
+    estimateNetworkTransfer,
+    getDeviceWattage,
+    getCurrentDevice,
+    assertProjectAccess,
+    refreshProjectTotals,
+    recordEmissionSession,
+    calculateSession
+  };
+}
+
+module.exports = {
+  createEmissionEngine,
+  EmissionError,
+  DEFAULT_CARBON_FACTOR,
+  DEFAULT_NETWORK_KWH_PER_GB,
+  DEFAULT_UNCERTAINTY_PCT,
+  CARBON_FACTOR_COLUMNS,
+  PSU_EFFICIENCY_CURVES,
+  DEFAULT_PSU_TIER,
+  isPsuTier,
+  DEFAULT_DEVICE_LIFETIME_YEARS,
+  EMBODIED_USE_HOURS_PER_YEAR,
+  UNMETERED_SESSION_SOURCES,
+  DEVICE_SESSION_SOURCES,
+  DEVICE_CATALOGS,
+  PERIPHERAL_CATALOGS,
+  normalizePeripherals,
+  getDeviceClass,
+  toDateString,
+  selectCarbonFactor,
+  parseUtilization,
+  parseBytesTransferred,
+  estimateComponentWatts,
+  modelPsuEfficiency,
+  modelEmbodiedCarbon,
+  buildEmissionBreakdown,
+  estimateEnergyCost,
+  toUncertaintyFraction,
+  buildUncertaintyRange,
+  combineUncertaintyRanges,
+  estimateOperationalUncertainty,
+  resolveSessionWindow,
+  splitSessionByHour,
+  ENERGY_METERS,
+  normalizeEnergyMeasurement,
+  parseBatteryReading,
+  applyEnergyMeasurement
+};
@@ -0,0 +1,37 @@
+// Human-friendly equivalences for emission figures (km driven, smartphone charges, tree-days of absorption, ...).
+// Each row of the admin-maintained emission_equivalences table states how many grams of CO2e one unit
+// stands for, so converting is a division per row.
+const { EmissionError } = require('./emissions');
+
+// Express an amount of gCO2e in each equivalence unit
+const buildEquivalences = (grams, equivalences) => equivalences.map(equivalence => ({
+  key: equivalence.equivalence_key,
+  label: equivalence.label,
+  unit: equivalence.unit,
+  gramsPerUnit: Number(equivalence.grams_per_unit),
+  value: Number(equivalence.grams_per_unit) > 0 ? grams / Number(equivalence.grams_per_unit) : null
+}));
+
+function createEquivalenceCalculator(query) {
+  const getEquivalences = () => query(`
+    SELECT equivalence_key, label, unit, grams_per_unit
+    FROM emission_equivalences
+    ORDER BY display_order, id
+  `);
+
+  // Convert grams of CO2e into every configured equivalence; keys optionally limits which ones
+  const convert = async (grams, keys = null) => {
+    const amount = Number(grams);
+    if (grams === undefined || grams === null || grams === '' || isNaN(amount) || amount < 0) {
+      throw new EmissionError(400, 'grams must be a non-negative amount of CO2e in grams');
+    }
+
+    const equivalences = await getEquivalences();
+    const selected = keys ? equivalences.filter(equivalence => keys.includes(equivalence.equivalence_key)) : equivalences;
+    return { grams: amount, kilograms: amount / 1000, equivalences: buildEquivalences(amount, selected) };
+  };
+
+  return { convert };
+}
+
+module.exports = { createEquivalenceCalculator, buildEquivalences };
@@ -0,0 +1,161 @@
+// Hourly grid carbon intensity providers for the emission engine. A provider is an object with
+//   name: a short label stored on each ledger session it priced
+//   getHourlyIntensity(region, { from, to }): a promise of [{ start, factor }] for the UTC clock hours in
+//     [from, to) it has data for, with factor in kgCO2e/kWh; hours it leaves out use the flat carbon factor
+// Profile-backed providers (database, file) describe a typical day per region in local time, optionally
+// overridden per month; the http provider asks an external (or mock) service for the actual hours.
+const fs = require('fs');
+
+// Seconds an admin-maintained profile is cached before it is read from the database again
+const INTENSITY_PROFILE_CACHE_SECONDS = Number(process.env.INTENSITY_PROFILE_CACHE_SECONDS) || 60;
+
+// Local month (1-12) and hour (0-23) of a moment in a region's time zone
+const getLocalMonthAndHour = (date, timezone) => {
+  const parts = new Intl.DateTimeFormat('en-US', { timeZone: timezone, month: 'numeric', hour: 'numeric', hourCycle: 'h23' })
+    .formatToParts(date);
+  const part = (type) => Number(parts.find(p => p.type === type).value);
+  return { month: part('month'), hour: part('hour') };
+};
+
+// Check a time zone name is one Intl understands
+const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Look up a profile's factor for a moment: the month's own hourly values beat the all-months (0) values
+const lookupProfileFactor = (profile, date) => {
+  const { month, hour } = getLocalMonthAndHour(date, profile.timezone);
+  const monthly = profile.months[month] && profile.months[month][hour];
+  const everyMonth = profile.months[0] && profile.months[0][hour];
+  const factor = monthly ?? everyMonth;
+  return factor === undefined || factor === null ? null : Number(factor);
+};
+
+// Build a provider from a profile loader: loadProfile(region) resolves to { timezone, months } or null,
+// where months maps 0 (every month) or 1-12 to an array of 24 hourly factors
+const createProfileIntensityProvider = (name, loadProfile) => ({
+  name,
+  getHourlyIntensity: async (region, { from, to }) => {
+    const profile = await loadProfile(region);
+    if (!profile) {
+      return [];
+    }
+
+    const hours = [];
+    const end = Math.max(to.getTime(), from.getTime() + 1);
+    for (let start = Math.floor(from.getTime() / 3600000) * 3600000; start < end; start += 3600000) {
+      const factor = lookupProfileFactor(profile, new Date(start));
+      if (factor !== null) {
+        hours.push({ start: new Date(start), factor });
+      }
+    }
+    return hours;
+  }
+});
+
+// Profiles from the carbon_intensity_profiles table, cached per region; invalidate() drops the cache
+// after an admin edit
+const createDatabaseIntensityProvider = (query) => {
+  const cache = new Map();
+
+  const loadProfile = async (region) => {
+    const cached = cache.get(region);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.profile;
+    }
+
+    const rows = await query(
+      'SELECT month, hour, factor, timezone FROM carbon_intensity_profiles WHERE region = ?',
+      [region]
+    );
+    const profile = rows.length === 0 ? null : rows.reduce((result, row) => {
+      result.months[row.month] = result.months[row.month] || [];
+      result.months[row.month][row.hour] = Number(row.factor);
+      return result;
+    }, { timezone: rows[0].timezone, months: {} });
+
+    cache.set(region, { profile, expiresAt: Date.now() + INTENSITY_PROFILE_CACHE_SECONDS * 1000 });
+    return profile;
+  };
+
+  return { ...createProfileIntensityProvider('database', loadProfile), invalidate: () => cache.clear() };
+};
+
+// Profiles from a local JSON file, read once:
+//   { "<region>": { "timezone": "Asia/Manila", "hourly": [24 factors], "monthly": { "4": [24 factors] } } }
+const createFileIntensityProvider = (filePath) => {
+  let profiles = null;
+
+  const loadProfile = async (region) => {
+    if (!profiles) {
+      // A failed read is retried on the next lookup rather than cached
+      profiles = fs.promises.readFile(filePath, 'utf8').then(JSON.parse).catch(error => {
+        profiles = null;
+        throw error;
+      });
+    }
+    const entry = (await profiles)[region];
+    if (!entry) {
+      return null;
+    }
+    return { timezone: entry.timezone || 'UTC', months: { 0: entry.hourly, ...(entry.monthly || {}) } };
+  };
+
+  return createProfileIntensityProvider('file', loadProfile);
+};
+
+// Actual hourly intensity from a service answering GET <url>?region=&from=&to= with
+// { "hours": [{ "start": "<ISO timestamp>", "factor": <kgCO2e/kWh> }] }
+const createHttpIntensityProvider = (url) => ({
+  name: 'http',
+  getHourlyIntensity: async (region, { from, to }) => {
+    const params = new URLSearchParams({ region, from: from.toISOString(), to: to.toISOString() });
+    const response = await fetch(`${url}?${params}`);
+    if (response.status === 404) {
+      return [];
+    }
+    if (!response.ok) {
+      throw new Error(`Carbon intensity service responded with ${response.status}`);
+    }
+    const body = await response.json();
+    return (body.hours || []).map(hour => ({ start: new Date(hour.start), factor: Number(hour.factor) }));
+  }
+});
+
+// Pick the provider named by CARBON_INTENSITY_PROVIDER: 'database' (default), 'file', 'http' or 'none'
+const createIntensityProvider = (type, { query, filePath, url }) => {
+  switch (type || 'database') {
+    case 'none':
+      return null;
+    case 'database':
+      return createDatabaseIntensityProvider(query);
+    case 'file':
+      if (!filePath) {
+        throw new Error('CARBON_INTENSITY_FILE is required for the file carbon intensity provider');
+      }
+      return createFileIntensityProvider(filePath);
+    case 'http':
+      if (!url) {
+        throw new Error('CARBON_INTENSITY_URL is required for the http carbon intensity provider');
+      }
+      return createHttpIntensityProvider(url);
+    default:
+      throw new Error(`Unknown carbon intensity provider: ${type}`);
+  }
+};
+
+module.exports = {
+  createIntensityProvider,
+  createProfileIntensityProvider,
+  createDatabaseIntensityProvider,
+  createFileIntensityProvider,
+  createHttpIntensityProvider,
+  lookupProfileFactor,
+  isValidTimezone,
+  INTENSITY_PROFILE_CACHE_SECONDS
+};
@@ -0,0 +1,163 @@
+// Server-tracked live sessions: clients start a session, send periodic heartbeats and stop it,
+// and emissions are computed from the duration the server observed rather than a client total.
+// Sessions that miss heartbeats for longer than the timeout are closed at their last heartbeat.
+const { EmissionError } = require('./emissions');
+
+// Seconds without a heartbeat before an active session is closed as expired
+const LIVE_SESSION_TIMEOUT_SECONDS = Number(process.env.LIVE_SESSION_TIMEOUT_SECONDS) || 300;
+
+// Heartbeat interval suggested to clients, comfortably inside the timeout
+const LIVE_SESSION_HEARTBEAT_SECONDS = Math.max(Math.floor(LIVE_SESSION_TIMEOUT_SECONDS / 5), 10);
+
+// Accumulate one utilization reading (a percentage or an array of percentages) into a running sum and count
+const addUtilizationSamples = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return { sum: 0, count: 0 };
+  }
+
+  const samples = (Array.isArray(value) ? value : [value]).map(Number);
+  if (samples.some(sample => isNaN(sample) || sample < 0 || sample > 100)) {
+    throw new EmissionError(400, 'Utilization values must be percentages between 0 and 100');
+  }
+  return { sum: samples.reduce((total, sample) => total + sample, 0), count: samples.length };
+};
+
+function createLiveSessionTracker(query, emissionEngine) {
+  const getLiveSession = async (liveSessionId, userId) => {
+    const results = await query('SELECT * FROM live_sessions WHERE id = ? AND user_id = ?', [liveSessionId, userId]);
+    if (results.length === 0) {
+      throw new EmissionError(404, 'Live session not found');
+    }
+    return results[0];
+  };
+
+  // Claim an active session for closing so concurrent stop/expiry calls record it only once,
+  // then calculate its emissions over the observed window and link the ledger entry
+  const closeLiveSession = async (liveSession, status, endedAt, bytesTransferred = null) => {
+    const claim = await query(
+      `UPDATE live_sessions SET status = ?, ended_at = ? WHERE id = ? AND status = 'active'`,
+      [status, endedAt, liveSession.id]
+    );
+    if (claim.affectedRows === 0) {
+      throw new EmissionError(409, 'Live session is already closed');
+    }
+
+    const startedAt = new Date(liveSession.started_at);
+    const sessionDuration = Math.max(Math.round((endedAt.getTime() - startedAt.getTime()) / 1000), 0);
+    const averageUtilization = (sum, count) => (count > 0 ? sum / count / 100 : null);
+
+    try {
+      const result = await emissionEngine.calculateSession({
+        userId: liveSession.user_id,
+        projectId: liveSession.project_id,
+        deviceId: liveSession.device_id,
+        sessionDuration,
+        subGrid: liveSession.sub_grid,
+        startedAt,
+        endedAt,
+        cpuUtilization: averageUtilization(Number(liveSession.cpu_utilization_sum), liveSession.cpu_utilization_samples),
+        gpuUtilization: averageUtilization(Number(liveSession.gpu_utilization_sum), liveSession.gpu_utilization_samples),
+        bytesTransferred
+      });
+
+      await query('UPDATE live_sessions SET emission_session_id = ? WHERE id = ?', [result.sessionId, liveSession.id]);
+      return { liveSessionId: liveSession.id, status, sessionDuration, startedAt, endedAt, ...result };
+    } catch (error) {
+      await query(`UPDATE live_sessions SET status = 'failed', error = ? WHERE id = ?`, [error.message, liveSession.id]);
+      throw error;
+    }
+  };
+
+  // Close every active session (or just one user's) whose last heartbeat is older than the timeout,
+  // ending it at that heartbeat
+  const closeStaleSessions = async (userId = null) => {
+    const staleSessions = await query(`
+      SELECT * FROM live_sessions
+      WHERE status = 'active' AND last_heartbeat_at < ?${userId ? ' AND user_id = ?' : ''}
+    `, [new Date(Date.now() - LIVE_SESSION_TIMEOUT_SECONDS * 1000), ...(userId ? [userId] : [])]);
+
+    const closed = [];
+    for (const liveSession of staleSessions) {
+      try {
+        closed.push(await closeLiveSession(liveSession, 'expired', new Date(liveSession.last_heartbeat_at)));
+      } catch (error) {
+        console.error(`Error closing stale live session ${liveSession.id}:`, error);
+      }
+    }
+    return closed;
+  };
+
+  const start = async ({ userId, projectId, subGrid = null }) => {
+    await emissionEngine.assertProjectAccess(projectId, userId);
+    const { device } = await emissionEngine.getCurrentDevice(userId);
+
+    const now = new Date();
+    const result = await query(`
+      INSERT INTO live_sessions (user_id, project_id, device_id, sub_grid, status, started_at, last_heartbeat_at)
+      VALUES (?, ?, ?, ?, 'active', ?, ?)
+    `, [userId, projectId, device.id, subGrid, now, now]);
+
+    return {
+      liveSessionId: result.insertId,
+      startedAt: now,
+      heartbeatInterval: LIVE_SESSION_HEARTBEAT_SECONDS,
+      timeout: LIVE_SESSION_TIMEOUT_SECONDS
+    };
+  };
+
+  // Record a heartbeat; a session that already went stale is closed at its last heartbeat instead
+  const heartbeat = async ({ userId, liveSessionId, cpuUtilization, gpuUtilization }) => {
+    const liveSession = await getLiveSession(liveSessionId, userId);
+    if (liveSession.status !== 'active') {
+      throw new EmissionError(409, `Live session is ${liveSession.status}`);
+    }
+
+    const lastHeartbeat = new Date(liveSession.last_heartbeat_at);
+    if (Date.now() - lastHeartbeat.getTime() > LIVE_SESSION_TIMEOUT_SECONDS * 1000) {
+      await closeLiveSession(liveSession, 'expired', lastHeartbeat);
+      throw new EmissionError(410, 'Live session expired after missing heartbeats; start a new session');
+    }
+
+    const cpu = addUtilizationSamples(cpuUtilization);
+    const gpu = addUtilizationSamples(gpuUtilization);
+    await query(`
+      UPDATE live_sessions
+      SET last_heartbeat_at = ?,
+          cpu_utilization_sum = cpu_utilization_sum + ?, cpu_utilization_samples = cpu_utilization_samples + ?,
+          gpu_utilization_sum = gpu_utilization_sum + ?, gpu_utilization_samples = gpu_utilization_samples + ?
+      WHERE id = ? AND status = 'active'
+    `, [new Date(), cpu.sum, cpu.count, gpu.sum, gpu.count, liveSession.id]);
+
+    return {
+      liveSessionId: liveSession.id,
+      elapsed: Math.round((Date.now() - new Date(liveSession.started_at).getTime()) / 1000),
+      heartbeatInterval: LIVE_SESSION_HEARTBEAT_SECONDS
+    };
+  };
+
+  // Stop a session now, or at its last heartbeat if it had already gone stale.
+  // bytesTransferred optionally reports the data the session moved over the network.
+  const stop = async ({ userId, liveSessionId, bytesTransferred = null }) => {
+    if (Number.isNaN(bytesTransferred)) {
+      throw new EmissionError(400, 'bytesTransferred must be a non-negative number of bytes');
+    }
+    const liveSession = await getLiveSession(liveSessionId, userId);
+    if (liveSession.status !== 'active') {
+      throw new EmissionError(409, `Live session is ${liveSession.status}`);
+    }
+
+    const lastHeartbeat = new Date(liveSession.last_heartbeat_at);
+    if (Date.now() - lastHeartbeat.getTime() > LIVE_SESSION_TIMEOUT_SECONDS * 1000) {
+      return closeLiveSession(liveSession, 'expired', lastHeartbeat, bytesTransferred);
+    }
+    return closeLiveSession(liveSession, 'stopped', new Date(), bytesTransferred);
+  };
+
+  return { start, heartbeat, stop, closeStaleSessions };
+}
+
+module.exports = {
+  createLiveSessionTracker,
+  LIVE_SESSION_TIMEOUT_SECONDS,
+  LIVE_SESSION_HEARTBEAT_SECONDS
+};
@@ -0,0 +1,176 @@
+// Market-based Scope 2 accounting (GHG Protocol): the same recorded sessions are re-priced with the
+// contractual instruments an organization registered, instead of only the grid average. Renewable energy
+// certificates (one per MWh) cover consumption first, in the order sessions ran; a supplier-specific factor
+// prices whatever they leave uncovered; anything else keeps its location-based factor. Only the operational
+// emissions of devices are affected; embodied carbon and network transfer are reported unchanged.
+const { UNMETERED_SESSION_SOURCES, toDateString } = require('./emissions');
+
+// Cloud usage is bought from the provider (Scope 3), so an organization's own instruments don't cover it.
+// CI jobs run on hosted runners bought like cloud usage. CodeCarbon runs are priced at the key owner's
+// regional grid like device sessions, so they are re-priced like device sessions too.
+const MARKET_EXCLUDED_SOURCES = [...UNMETERED_SESSION_SOURCES, 'cloud', 'ci'];
+
+const MARKET_INSTRUMENT_TYPES = ['rec', 'supplier_factor'];
+
+// Whether an instrument applies to a session run on the given YYYY-MM-DD day
+const instrumentCovers = (instrument, session, day) =>
+  instrument.organization === session.organization &&
+  (!instrument.region || instrument.region === session.region) &&
+  instrument.period_start <= day &&
+  instrument.period_end >= day;
+
+// Price sessions (with organization, region, energy_wh, carbon_factor, carbon_emit and started_at) under the
+// given instruments. Certificates expiring soonest are drawn down first; region-specific supplier factors
+// beat organization-wide ones. Returns per-session results in the order sessions ran, and certificate usage.
+const allocateMarketEmissions = (sessions, instruments) => {
+  const recs = instruments
+    .filter(instrument => instrument.instrument_type === 'rec')
+    .map(instrument => ({ ...instrument, remainingKwh: Number(instrument.volume_mwh) * 1000 }))
+    .sort((a, b) => a.period_end.localeCompare(b.period_end));
+  const supplierFactors = instruments
+    .filter(instrument => instrument.instrument_type === 'supplier_factor')
+    .sort((a, b) => (b.region ? 1 : 0) - (a.region ? 1 : 0) || b.period_start.localeCompare(a.period_start));
+
+  const ordered = [...sessions].sort((a, b) => new Date(a.started_at).getTime() - new Date(b.started_at).getTime() || a.id - b.id);
+  const results = ordered.map(session => {
+    const day = toDateString(session.started_at);
+    const energyKwh = (Number(session.energy_wh) || 0) / 1000;
+
+    let recKwh = 0;
+    for (const rec of recs) {
+      if (recKwh >= energyKwh) {
+        break;
+      }
+      if (rec.remainingKwh > 0 && instrumentCovers(rec, session, day)) {
+        const drawn = Math.min(rec.remainingKwh, energyKwh - recKwh);
+        rec.remainingKwh -= drawn;
+        recKwh += drawn;
+      }
+    }
+
+    const supplier = supplierFactors.find(instrument => instrumentCovers(instrument, session, day));
+    const factor = supplier ? Number(supplier.supplier_factor) : Number(session.carbon_factor);
+    return {
+      session,
+      energyKwh,
+      recKwh,
+      supplierFactorId: supplier ? supplier.id : null,
+      locationEmissions: Number(session.carbon_emit) || 0,
+      // kWh x kgCO2e/kWh x 1000 = gCO2e, the ledger's unit
+      marketEmissions: (energyKwh - recKwh) * factor * 1000
+    };
+  });
+
+  return {
+    results,
+    recs: recs.map(rec => ({
+      id: rec.id,
+      organization: rec.organization,
+      region: rec.region,
+      periodStart: rec.period_start,
+      periodEnd: rec.period_end,
+      volumeMwh: Number(rec.volume_mwh),
+      usedMwh: (Number(rec.volume_mwh) * 1000 - rec.remainingKwh) / 1000
+    }))
+  };
+};
+
+// Add up location- and market-based emissions of allocated sessions
+const summarizeMarketEmissions = (results) => results.reduce((totals, result) => ({
+  sessions: totals.sessions + 1,
+  energyKwh: totals.energyKwh + result.energyKwh,
+  recKwh: totals.recKwh + result.recKwh,
+  locationBasedEmissions: totals.locationBasedEmissions + result.locationEmissions,
+  marketBasedEmissions: totals.marketBasedEmissions + result.marketEmissions
+}), { sessions: 0, energyKwh: 0, recKwh: 0, locationBasedEmissions: 0, marketBasedEmissions: 0 });
+
+function createMarketAccounting(query) {
+  const getInstruments = (organization = null) => query(`
+    SELECT id, organization, instrument_type, region, supplier_factor, volume_mwh, certificate_reference,
+           DATE_FORMAT(period_start, '%Y-%m-%d') AS period_start,
+           DATE_FORMAT(period_end, '%Y-%m-%d') AS period_end
+    FROM market_instruments
+    ${organization ? 'WHERE organization = ?' : ''}
+  `, organization ? [organization] : []);
+
+  // Price the metered device sessions of one organization (or all of them) started in [from, to] (YYYY-MM-DD,
+  // both optional). Certificates are drawn down from the start of their period, so earlier sessions in a
+  // certificate's period are allocated too and then left out of the results.
+  const computeMarketEmissions = async ({ organization = null, from = null, to = null } = {}) => {
+    const instruments = await getInstruments(organization);
+
+    let allocationFrom = from;
+    if (from) {
+      instruments
+        .filter(instrument => instrument.instrument_type === 'rec' && instrument.period_end >= from && instrument.period_start < allocationFrom)
+        .forEach(instrument => { allocationFrom = instrument.period_start; });
+    }
+
+    const conditions = ['es.source NOT IN (?)'];
+    const params = [MARKET_EXCLUDED_SOURCES];
+    if (organization) {
+      conditions.push('u.organization = ?');
+      params.push(organization);
+    }
+    if (allocationFrom) {
+      conditions.push('es.started_at >= ?');
+      params.push(allocationFrom);
+    }
+    if (to) {
+      conditions.push('es.started_at < DATE_ADD(?, INTERVAL 1 DAY)');
+      params.push(to);
+    }
+
+    // The organization is the session user's (whose office drew the power); owner_email is the project
+    // owner's, which is how /emission_data groups totals
+    const sessions = await query(`
+      SELECT es.id, es.project_id, es.user_id, es.region, es.energy_wh, es.carbon_factor, es.carbon_emit, es.started_at,
+             u.organization, owner.email AS owner_email
+      FROM emission_sessions es
+      JOIN users u ON es.user_id = u.id
+      JOIN user_history uh ON es.project_id = uh.id
+      JOIN users owner ON uh.user_id = owner.id
+      WHERE ${conditions.join(' AND ')}
+    `, params);
+
+    const allocation = allocateMarketEmissions(sessions, instruments);
+    return {
+      results: from ? allocation.results.filter(result => toDateString(result.session.started_at) >= from) : allocation.results,
+      recs: allocation.recs
+    };
+  };
+
+  // Location- and market-based totals over a period, per organization (or for the one given), with certificate usage
+  const report = async ({ organization = null, from = null, to = null } = {}) => {
+    const { results, recs } = await computeMarketEmissions({ organization, from, to });
+
+    const byOrganization = new Map();
+    results.forEach(result => {
+      const key = result.session.organization;
+      if (!byOrganization.has(key)) {
+        byOrganization.set(key, []);
+      }
+      byOrganization.get(key).push(result);
+    });
+
+    return {
+      organization,
+      from,
+      to,
+      totals: summarizeMarketEmissions(results),
+      organizations: [...byOrganization.keys()].map(key => ({ organization: key, ...summarizeMarketEmissions(byOrganization.get(key)) })),
+      recs,
+      emissionsUnit: 'gCO2e'
+    };
+  };
+
+  return { getInstruments, computeMarketEmissions, report };
+}
+
+module.exports = {
+  createMarketAccounting,
+  allocateMarketEmissions,
+  summarizeMarketEmissions,
+  MARKET_EXCLUDED_SOURCES,
+  MARKET_INSTRUMENT_TYPES
+};
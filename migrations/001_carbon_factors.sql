@@ -0,0 +1,18 @@
+-- Regional grid carbon intensity, maintained through /admin/carbon-factors
+CREATE TABLE IF NOT EXISTS carbon_factors (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  region VARCHAR(100) NOT NULL,
+  country VARCHAR(100) NULL,
+  sub_grid VARCHAR(100) NULL,
+  factor DECIMAL(10, 6) NOT NULL COMMENT 'kgCO2e per kWh',
+  source VARCHAR(255) NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_carbon_factors_region (region, sub_grid),
+  KEY idx_carbon_factors_country (country)
+);
+
+-- Factors previously hardcoded in getCarbonFactor
+INSERT INTO carbon_factors (region, country, factor, source) VALUES
+  ('Singapore', 'Singapore', 0.412, 'Energy Market Authority'),
+  ('Philippines', 'Philippines', 0.5246, 'Department of Energy');
@@ -0,0 +1,24 @@
+-- Carbon factors become versioned by effective date
+ALTER TABLE carbon_factors
+  ADD COLUMN effective_from DATE NOT NULL DEFAULT '2000-01-01' AFTER source,
+  ADD COLUMN effective_to DATE NULL AFTER effective_from,
+  DROP INDEX uq_carbon_factors_region,
+  ADD UNIQUE KEY uq_carbon_factors_version (region, sub_grid, effective_from);
+
+-- One row per recorded session, stamped with the carbon factor version applied to it
+CREATE TABLE IF NOT EXISTS emission_sessions (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  project_id INT NOT NULL,
+  user_id INT NOT NULL,
+  region VARCHAR(100) NULL,
+  sub_grid VARCHAR(100) NULL,
+  session_duration INT NOT NULL DEFAULT 0 COMMENT 'seconds',
+  energy_wh DOUBLE NOT NULL DEFAULT 0,
+  carbon_factor_id INT NULL,
+  carbon_factor DECIMAL(10, 6) NOT NULL,
+  carbon_emit DOUBLE NOT NULL DEFAULT 0,
+  recorded_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  KEY idx_emission_sessions_project (project_id),
+  KEY idx_emission_sessions_user (user_id),
+  KEY idx_emission_sessions_recorded_at (recorded_at)
+);
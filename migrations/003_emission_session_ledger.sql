@@ -0,0 +1,37 @@
+-- emission_sessions becomes the append-only ledger that project totals are derived from
+ALTER TABLE emission_sessions
+  ADD COLUMN device_id INT NULL AFTER user_id,
+  ADD COLUMN device_snapshot JSON NULL AFTER device_id,
+  ADD COLUMN source VARCHAR(20) NOT NULL DEFAULT 'desktop' AFTER device_snapshot,
+  ADD COLUMN cpu_watts DOUBLE NOT NULL DEFAULT 0 AFTER session_duration,
+  ADD COLUMN gpu_watts DOUBLE NOT NULL DEFAULT 0 AFTER cpu_watts,
+  ADD COLUMN ram_watts DOUBLE NOT NULL DEFAULT 0 AFTER gpu_watts,
+  ADD COLUMN psu_watts DOUBLE NOT NULL DEFAULT 0 AFTER ram_watts,
+  ADD COLUMN total_watts DOUBLE NOT NULL DEFAULT 0 AFTER psu_watts,
+  ADD COLUMN started_at DATETIME NULL AFTER carbon_emit,
+  ADD COLUMN ended_at DATETIME NULL AFTER started_at,
+  ADD KEY idx_emission_sessions_started_at (started_at),
+  ADD KEY idx_emission_sessions_device (device_id);
+
+UPDATE emission_sessions
+SET started_at = DATE_SUB(recorded_at, INTERVAL session_duration SECOND),
+    ended_at = recorded_at
+WHERE started_at IS NULL;
+
+-- Carry totals accumulated before the ledger existed as one legacy entry per project
+INSERT INTO emission_sessions (
+  project_id, user_id, source, session_duration, energy_wh,
+  carbon_factor, carbon_emit, started_at, ended_at, recorded_at
+)
+SELECT
+  uh.id, uh.user_id, 'legacy',
+  GREATEST(COALESCE(uh.session_duration, 0) - COALESCE(es.session_duration, 0), 0), 0,
+  0, COALESCE(uh.carbon_emit, 0) - COALESCE(es.carbon_emit, 0), uh.created_at, uh.created_at, uh.created_at
+FROM user_history uh
+LEFT JOIN (
+  SELECT project_id, SUM(session_duration) AS session_duration, SUM(carbon_emit) AS carbon_emit
+  FROM emission_sessions
+  GROUP BY project_id
+) es ON es.project_id = uh.id
+WHERE COALESCE(uh.carbon_emit, 0) <> COALESCE(es.carbon_emit, 0)
+   OR COALESCE(uh.session_duration, 0) > COALESCE(es.session_duration, 0);
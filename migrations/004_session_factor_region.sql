@@ -0,0 +1,8 @@
+-- Region of the carbon factor actually applied, which may differ from the user's region (e.g. country fallback)
+ALTER TABLE emission_sessions
+  ADD COLUMN carbon_factor_region VARCHAR(100) NULL AFTER carbon_factor;
+
+UPDATE emission_sessions es
+JOIN carbon_factors cf ON cf.id = es.carbon_factor_id
+SET es.carbon_factor_region = cf.region
+WHERE es.carbon_factor_region IS NULL;
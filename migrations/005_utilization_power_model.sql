@@ -0,0 +1,10 @@
+-- Idle and peak draw let sessions be charged by reported utilization instead of the flat average
+ALTER TABLE cpus ADD COLUMN idle_watts DOUBLE NULL AFTER avg_watt_usage, ADD COLUMN peak_watts DOUBLE NULL AFTER idle_watts;
+ALTER TABLE gpus ADD COLUMN idle_watts DOUBLE NULL AFTER avg_watt_usage, ADD COLUMN peak_watts DOUBLE NULL AFTER idle_watts;
+ALTER TABLE cpusm ADD COLUMN idle_watts DOUBLE NULL AFTER cpu_watts, ADD COLUMN peak_watts DOUBLE NULL AFTER idle_watts;
+ALTER TABLE gpusm ADD COLUMN idle_watts DOUBLE NULL AFTER gpu_watts, ADD COLUMN peak_watts DOUBLE NULL AFTER idle_watts;
+
+-- Average utilization (0-1) reported for each session, NULL when the catalog average was used
+ALTER TABLE emission_sessions
+  ADD COLUMN cpu_utilization DOUBLE NULL AFTER session_duration,
+  ADD COLUMN gpu_utilization DOUBLE NULL AFTER cpu_utilization;
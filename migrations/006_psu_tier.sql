@@ -0,0 +1,3 @@
+-- 80 PLUS tier of the device's power supply or charger (none, white, bronze, silver, gold, platinum, titanium).
+-- NULL falls back to DEFAULT_PSU_TIER in server.js.
+ALTER TABLE user_devices ADD COLUMN psu_tier VARCHAR(20) NULL AFTER psu;
@@ -0,0 +1,22 @@
+-- Server-tracked sessions driven by start/heartbeat/stop calls
+CREATE TABLE IF NOT EXISTS live_sessions (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  project_id INT NOT NULL,
+  device_id INT NOT NULL,
+  sub_grid VARCHAR(100) NULL,
+  status ENUM('active', 'stopped', 'expired', 'failed') NOT NULL DEFAULT 'active',
+  started_at DATETIME NOT NULL,
+  last_heartbeat_at DATETIME NOT NULL,
+  ended_at DATETIME NULL,
+  cpu_utilization_sum DOUBLE NOT NULL DEFAULT 0,
+  cpu_utilization_samples INT NOT NULL DEFAULT 0,
+  gpu_utilization_sum DOUBLE NOT NULL DEFAULT 0,
+  gpu_utilization_samples INT NOT NULL DEFAULT 0,
+  emission_session_id INT NULL,
+  error VARCHAR(255) NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  KEY idx_live_sessions_user (user_id),
+  KEY idx_live_sessions_project (project_id),
+  KEY idx_live_sessions_status_heartbeat (status, last_heartbeat_at)
+);
@@ -0,0 +1,12 @@
+-- Client-supplied idempotency keys so retried session submissions are recorded once
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  idempotency_key VARCHAR(255) NOT NULL,
+  request_hash CHAR(64) NOT NULL,
+  status ENUM('pending', 'completed') NOT NULL DEFAULT 'pending',
+  response JSON NULL,
+  emission_session_id INT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uniq_idempotency_keys_user_key (user_id, idempotency_key)
+);
@@ -0,0 +1,13 @@
+-- Manufacturing (embodied) carbon in kgCO2e and expected service life, amortized into each session
+ALTER TABLE cpus ADD COLUMN embodied_kgco2e DOUBLE NULL, ADD COLUMN lifetime_years DOUBLE NULL;
+ALTER TABLE gpus ADD COLUMN embodied_kgco2e DOUBLE NULL, ADD COLUMN lifetime_years DOUBLE NULL;
+ALTER TABLE cpusm ADD COLUMN embodied_kgco2e DOUBLE NULL, ADD COLUMN lifetime_years DOUBLE NULL;
+ALTER TABLE gpusm ADD COLUMN embodied_kgco2e DOUBLE NULL, ADD COLUMN lifetime_years DOUBLE NULL;
+ALTER TABLE ram ADD COLUMN embodied_kgco2e DOUBLE NULL, ADD COLUMN lifetime_years DOUBLE NULL;
+
+-- A device-level figure (e.g. from the manufacturer's product carbon footprint) overrides the component sum
+ALTER TABLE user_devices ADD COLUMN embodied_kgco2e DOUBLE NULL AFTER psu_tier, ADD COLUMN lifetime_years DOUBLE NULL AFTER embodied_kgco2e;
+
+-- Embodied share per session (gCO2e), kept apart from the operational carbon_emit
+ALTER TABLE emission_sessions ADD COLUMN embodied_emit DOUBLE NOT NULL DEFAULT 0 AFTER carbon_emit;
+ALTER TABLE user_history ADD COLUMN embodied_emit DOUBLE NOT NULL DEFAULT 0 AFTER carbon_emit;
@@ -0,0 +1,51 @@
+-- Catalogs for the remaining device components; user_devices.motherboard is matched against motherboards.model
+CREATE TABLE IF NOT EXISTS motherboards (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  manufacturer VARCHAR(100) NULL,
+  model VARCHAR(255) NOT NULL,
+  form_factor VARCHAR(50) NULL,
+  avg_watt_usage DOUBLE NOT NULL,
+  embodied_kgco2e DOUBLE NULL,
+  lifetime_years DOUBLE NULL,
+  KEY idx_motherboards_model (model)
+);
+
+CREATE TABLE IF NOT EXISTS storage_drives (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  manufacturer VARCHAR(100) NULL,
+  model VARCHAR(255) NOT NULL,
+  drive_type VARCHAR(20) NULL,
+  capacity_gb INT NULL,
+  avg_watt_usage DOUBLE NOT NULL,
+  embodied_kgco2e DOUBLE NULL,
+  lifetime_years DOUBLE NULL,
+  KEY idx_storage_drives_model (model)
+);
+
+CREATE TABLE IF NOT EXISTS displays (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  manufacturer VARCHAR(100) NULL,
+  model VARCHAR(255) NOT NULL,
+  size_inches DOUBLE NULL,
+  panel_type VARCHAR(50) NULL,
+  avg_watt_usage DOUBLE NOT NULL,
+  embodied_kgco2e DOUBLE NULL,
+  lifetime_years DOUBLE NULL,
+  KEY idx_displays_model (model)
+);
+
+-- Storage drives and displays attached to a device, referenced by catalog model like cpu and gpu
+CREATE TABLE IF NOT EXISTS device_peripherals (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  device_id INT NOT NULL,
+  peripheral_type ENUM('storage', 'display') NOT NULL,
+  model VARCHAR(255) NOT NULL,
+  quantity INT NOT NULL DEFAULT 1,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  KEY idx_device_peripherals_device (device_id)
+);
+
+ALTER TABLE emission_sessions
+  ADD COLUMN motherboard_watts DOUBLE NOT NULL DEFAULT 0 AFTER ram_watts,
+  ADD COLUMN storage_watts DOUBLE NOT NULL DEFAULT 0 AFTER motherboard_watts,
+  ADD COLUMN display_watts DOUBLE NOT NULL DEFAULT 0 AFTER storage_watts;
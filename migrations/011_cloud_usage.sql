@@ -0,0 +1,23 @@
+-- Power profiles for cloud instance types; idle/peak allow utilization-scaled draw like the device catalogs
+CREATE TABLE IF NOT EXISTS cloud_instance_types (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  provider VARCHAR(50) NOT NULL,
+  instance_type VARCHAR(100) NOT NULL,
+  vcpus INT NULL,
+  memory_gb DOUBLE NULL,
+  avg_watt_usage DOUBLE NOT NULL,
+  idle_watts DOUBLE NULL,
+  peak_watts DOUBLE NULL,
+  UNIQUE KEY uniq_cloud_instance_types (provider, instance_type)
+);
+
+-- Provider regions, the grid region whose carbon factor applies to them, and datacenter PUE
+CREATE TABLE IF NOT EXISTS cloud_datacenters (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  provider VARCHAR(50) NOT NULL,
+  cloud_region VARCHAR(100) NOT NULL,
+  grid_region VARCHAR(100) NOT NULL,
+  pue DOUBLE NOT NULL DEFAULT 1.2,
+  source VARCHAR(255) NULL,
+  UNIQUE KEY uniq_cloud_datacenters (provider, cloud_region)
+);
@@ -0,0 +1,18 @@
+-- Network energy intensity in kWh per GB transferred, versioned by effective date
+CREATE TABLE IF NOT EXISTS network_energy_factors (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  kwh_per_gb DOUBLE NOT NULL,
+  source VARCHAR(255) NULL,
+  effective_from DATE NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uniq_network_energy_factors_effective_from (effective_from)
+);
+
+-- Data moved during a session and its emissions (gCO2e), kept apart from the device's carbon_emit
+ALTER TABLE emission_sessions
+  ADD COLUMN bytes_transferred BIGINT NULL AFTER embodied_emit,
+  ADD COLUMN network_factor_id INT NULL AFTER bytes_transferred,
+  ADD COLUMN network_energy_wh DOUBLE NOT NULL DEFAULT 0 AFTER network_factor_id,
+  ADD COLUMN network_emit DOUBLE NOT NULL DEFAULT 0 AFTER network_energy_wh;
+
+ALTER TABLE user_history ADD COLUMN network_emit DOUBLE NOT NULL DEFAULT 0 AFTER embodied_emit;
@@ -0,0 +1,32 @@
+-- Relative uncertainty (± percent) of catalog wattage figures; NULL falls back to the server default
+ALTER TABLE cpus ADD COLUMN uncertainty_pct DOUBLE NULL;
+ALTER TABLE gpus ADD COLUMN uncertainty_pct DOUBLE NULL;
+ALTER TABLE cpusm ADD COLUMN uncertainty_pct DOUBLE NULL;
+ALTER TABLE gpusm ADD COLUMN uncertainty_pct DOUBLE NULL;
+ALTER TABLE ram ADD COLUMN uncertainty_pct DOUBLE NULL;
+ALTER TABLE motherboards ADD COLUMN uncertainty_pct DOUBLE NULL;
+ALTER TABLE storage_drives ADD COLUMN uncertainty_pct DOUBLE NULL;
+ALTER TABLE displays ADD COLUMN uncertainty_pct DOUBLE NULL;
+ALTER TABLE cloud_instance_types ADD COLUMN uncertainty_pct DOUBLE NULL;
+
+-- Relative uncertainty (± percent) of grid and network intensity figures
+ALTER TABLE carbon_factors ADD COLUMN uncertainty_pct DOUBLE NULL AFTER factor;
+ALTER TABLE network_energy_factors ADD COLUMN uncertainty_pct DOUBLE NULL AFTER kwh_per_gb;
+
+-- Low/high bounds (gCO2e) of each session's total emissions (operational + embodied + network)
+ALTER TABLE emission_sessions
+  ADD COLUMN emissions_low DOUBLE NOT NULL DEFAULT 0 AFTER network_emit,
+  ADD COLUMN emissions_high DOUBLE NOT NULL DEFAULT 0 AFTER emissions_low;
+
+ALTER TABLE user_history
+  ADD COLUMN emissions_low DOUBLE NOT NULL DEFAULT 0 AFTER network_emit,
+  ADD COLUMN emissions_high DOUBLE NOT NULL DEFAULT 0 AFTER emissions_low;
+
+-- Sessions recorded before ranges were tracked report a zero-width band at their central value
+UPDATE emission_sessions
+SET emissions_low = carbon_emit + embodied_emit + network_emit,
+    emissions_high = carbon_emit + embodied_emit + network_emit;
+
+UPDATE user_history
+SET emissions_low = carbon_emit + embodied_emit + network_emit,
+    emissions_high = carbon_emit + embodied_emit + network_emit;
@@ -0,0 +1,26 @@
+-- Electricity price per kWh by region in the region's currency, versioned by effective date
+CREATE TABLE IF NOT EXISTS electricity_tariffs (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  region VARCHAR(100) NOT NULL,
+  currency CHAR(3) NOT NULL,
+  price_per_kwh DOUBLE NOT NULL,
+  source VARCHAR(255) NULL,
+  effective_from DATE NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uniq_electricity_tariffs_region_effective_from (region, effective_from)
+);
+
+-- Estimated cost of each session's energy at the tariff in effect when it ran; NULL when the region has none
+ALTER TABLE emission_sessions
+  ADD COLUMN tariff_id INT NULL AFTER emissions_high,
+  ADD COLUMN energy_cost DOUBLE NULL AFTER tariff_id,
+  ADD COLUMN cost_currency CHAR(3) NULL AFTER energy_cost;
+
+-- Project energy and cost totals; energy_cost stays NULL when a project's sessions span several currencies
+ALTER TABLE user_history
+  ADD COLUMN energy_wh DOUBLE NOT NULL DEFAULT 0 AFTER emissions_high,
+  ADD COLUMN energy_cost DOUBLE NULL AFTER energy_wh,
+  ADD COLUMN cost_currency CHAR(3) NULL AFTER energy_cost;
+
+UPDATE user_history uh
+SET energy_wh = (SELECT COALESCE(SUM(es.energy_wh), 0) FROM emission_sessions es WHERE es.project_id = uh.id);
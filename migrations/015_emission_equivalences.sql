@@ -0,0 +1,18 @@
+-- Everyday equivalences for emission figures, each stating how many grams of CO2e one unit stands for
+CREATE TABLE IF NOT EXISTS emission_equivalences (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  equivalence_key VARCHAR(50) NOT NULL,
+  label VARCHAR(255) NOT NULL,
+  unit VARCHAR(50) NOT NULL,
+  grams_per_unit DOUBLE NOT NULL,
+  source VARCHAR(255) NULL,
+  display_order INT NOT NULL DEFAULT 0,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uniq_emission_equivalences_key (equivalence_key)
+);
+
+-- A tree absorbs roughly 21.8 kgCO2 a year, i.e. about 60 g a day
+INSERT INTO emission_equivalences (equivalence_key, label, unit, grams_per_unit, source, display_order) VALUES
+  ('car_km', 'Distance driven by an average passenger car', 'km', 249, 'US EPA Greenhouse Gas Equivalencies Calculator', 1),
+  ('smartphone_charges', 'Smartphones fully charged', 'charges', 8.22, 'US EPA Greenhouse Gas Equivalencies Calculator', 2),
+  ('tree_days', 'Days of CO2 absorption by one mature tree', 'tree-days', 59.6, 'European Environment Agency', 3);
@@ -0,0 +1,16 @@
+-- Typical hourly grid intensity (kgCO2e/kWh) per region in local time; month 0 covers every month and
+-- months 1-12 override it
+CREATE TABLE IF NOT EXISTS carbon_intensity_profiles (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  region VARCHAR(100) NOT NULL,
+  month TINYINT NOT NULL DEFAULT 0,
+  hour TINYINT NOT NULL,
+  factor DOUBLE NOT NULL,
+  timezone VARCHAR(64) NOT NULL DEFAULT 'UTC',
+  source VARCHAR(255) NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uniq_carbon_intensity_profiles_region_month_hour (region, month, hour)
+);
+
+-- Provider whose hourly intensity weighted the session's carbon_factor; NULL for a flat factor
+ALTER TABLE emission_sessions ADD COLUMN intensity_source VARCHAR(50) NULL AFTER carbon_factor_region;
@@ -0,0 +1,16 @@
+-- Contractual instruments for market-based Scope 2 accounting: renewable energy certificates (volume_mwh)
+-- and supplier-specific emission factors (supplier_factor, kgCO2e/kWh) held by an organization for a period.
+-- region NULL applies the instrument to sessions in any region.
+CREATE TABLE IF NOT EXISTS market_instruments (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  organization VARCHAR(255) NOT NULL,
+  instrument_type ENUM('rec', 'supplier_factor') NOT NULL,
+  region VARCHAR(100) NULL,
+  supplier_factor DOUBLE NULL,
+  volume_mwh DOUBLE NULL,
+  certificate_reference VARCHAR(255) NULL,
+  period_start DATE NOT NULL,
+  period_end DATE NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  KEY idx_market_instruments_organization (organization, period_start)
+);
@@ -0,0 +1,8 @@
+-- Whether a session's energy came from the catalog estimate, a meter reading, or both (some components
+-- measured, the rest estimated), with the meter and the Wh it reported
+ALTER TABLE emission_sessions
+  ADD COLUMN energy_source ENUM('estimated', 'measured', 'mixed') NOT NULL DEFAULT 'estimated' AFTER energy_wh,
+  ADD COLUMN meter VARCHAR(50) NULL AFTER energy_source,
+  ADD COLUMN measured_energy_wh DOUBLE NULL AFTER meter;
+
+ALTER TABLE user_history ADD COLUMN measured_energy_wh DOUBLE NOT NULL DEFAULT 0 AFTER energy_wh;
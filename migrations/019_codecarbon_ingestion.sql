@@ -0,0 +1,37 @@
+-- API keys CodeCarbon clients report with; each is bound to the project its sessions are recorded against.
+-- Only a SHA-256 hash of the key is stored, with its first characters to tell keys apart.
+CREATE TABLE IF NOT EXISTS codecarbon_api_keys (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  project_id INT NOT NULL,
+  key_hash CHAR(64) NOT NULL,
+  key_prefix VARCHAR(16) NOT NULL,
+  label VARCHAR(255) NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  last_used_at TIMESTAMP NULL,
+  revoked_at TIMESTAMP NULL,
+  UNIQUE KEY uniq_codecarbon_api_keys_hash (key_hash),
+  KEY idx_codecarbon_api_keys_project (project_id)
+);
+
+-- Experiments and runs registered by CodeCarbon, removed along with the key that created them
+CREATE TABLE IF NOT EXISTS codecarbon_experiments (
+  id CHAR(36) PRIMARY KEY,
+  api_key_id INT NOT NULL,
+  project_id INT NOT NULL,
+  name VARCHAR(255) NULL,
+  description TEXT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (api_key_id) REFERENCES codecarbon_api_keys (id) ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS codecarbon_runs (
+  id CHAR(36) PRIMARY KEY,
+  api_key_id INT NOT NULL,
+  project_id INT NOT NULL,
+  experiment_id CHAR(36) NULL,
+  details JSON NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (api_key_id) REFERENCES codecarbon_api_keys (id) ON DELETE CASCADE,
+  FOREIGN KEY (experiment_id) REFERENCES codecarbon_experiments (id) ON DELETE CASCADE
+);
@@ -0,0 +1,34 @@
+-- Personal tokens editor plugins send heartbeats with; only a SHA-256 hash of each token is stored
+CREATE TABLE IF NOT EXISTS editor_tokens (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  token_hash CHAR(64) NOT NULL,
+  token_prefix VARCHAR(16) NOT NULL,
+  label VARCHAR(255) NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  last_used_at TIMESTAMP NULL,
+  revoked_at TIMESTAMP NULL,
+  UNIQUE KEY uniq_editor_tokens_hash (token_hash),
+  KEY idx_editor_tokens_user (user_id)
+);
+
+-- Coding sessions coalesced from editor heartbeats, linked to their ledger entry once closed
+CREATE TABLE IF NOT EXISTS editor_sessions (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  project_id INT NOT NULL,
+  device_id INT NOT NULL,
+  editor VARCHAR(100) NULL,
+  status ENUM('active', 'closed', 'failed') NOT NULL DEFAULT 'active',
+  started_at DATETIME NOT NULL,
+  last_heartbeat_at DATETIME NOT NULL,
+  ended_at DATETIME NULL,
+  heartbeat_count INT NOT NULL DEFAULT 0,
+  last_entity VARCHAR(512) NULL,
+  emission_session_id INT NULL,
+  error VARCHAR(255) NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  KEY idx_editor_sessions_user_status (user_id, status),
+  KEY idx_editor_sessions_project (project_id),
+  KEY idx_editor_sessions_status_heartbeat (status, last_heartbeat_at)
+);
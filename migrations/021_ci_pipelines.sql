@@ -0,0 +1,50 @@
+-- Power profiles for CI runner types; idle/peak allow utilization-scaled draw like the device catalogs.
+-- pue covers the facility overhead of hosted runners and stays 1 for self-hosted machines.
+CREATE TABLE IF NOT EXISTS ci_runner_types (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  runner_type VARCHAR(100) NOT NULL,
+  description VARCHAR(255) NULL,
+  vcpus INT NULL,
+  avg_watt_usage DOUBLE NOT NULL,
+  idle_watts DOUBLE NULL,
+  peak_watts DOUBLE NULL,
+  pue DOUBLE NOT NULL DEFAULT 1,
+  uncertainty_pct DOUBLE NULL,
+  UNIQUE KEY uniq_ci_runner_types (runner_type)
+);
+
+-- Tokens CI pipelines report jobs with; each is bound to a project. Only a SHA-256 hash is stored.
+CREATE TABLE IF NOT EXISTS ci_project_tokens (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  project_id INT NOT NULL,
+  token_hash CHAR(64) NOT NULL,
+  token_prefix VARCHAR(16) NOT NULL,
+  label VARCHAR(255) NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  last_used_at TIMESTAMP NULL,
+  revoked_at TIMESTAMP NULL,
+  UNIQUE KEY uniq_ci_project_tokens_hash (token_hash),
+  KEY idx_ci_project_tokens_project (project_id)
+);
+
+-- Reported jobs, one per pipeline job, linked to their ledger entry and removed along with their token
+CREATE TABLE IF NOT EXISTS ci_jobs (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  token_id INT NOT NULL,
+  project_id INT NOT NULL,
+  pipeline_id VARCHAR(255) NOT NULL,
+  job_id VARCHAR(255) NOT NULL,
+  commit_sha VARCHAR(64) NULL,
+  runner_type VARCHAR(100) NOT NULL,
+  region VARCHAR(100) NOT NULL,
+  stage VARCHAR(255) NULL,
+  duration INT NOT NULL,
+  emission_session_id INT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uniq_ci_jobs (project_id, pipeline_id, job_id),
+  FOREIGN KEY (token_id) REFERENCES ci_project_tokens (id) ON DELETE CASCADE
+);
+
+-- The project stage a session is attributed to, where its source names one (CI jobs)
+ALTER TABLE emission_sessions ADD COLUMN stage VARCHAR(255) NULL AFTER project_id;
@@ -0,0 +1,9 @@
+-- The user whose key registered each experiment and run, so they are removed with that user (or project)
+ALTER TABLE codecarbon_experiments ADD COLUMN user_id INT NULL AFTER api_key_id;
+ALTER TABLE codecarbon_runs ADD COLUMN user_id INT NULL AFTER api_key_id;
+
+UPDATE codecarbon_experiments ce JOIN codecarbon_api_keys k ON ce.api_key_id = k.id SET ce.user_id = k.user_id;
+UPDATE codecarbon_runs cr JOIN codecarbon_api_keys k ON cr.api_key_id = k.id SET cr.user_id = k.user_id;
+
+ALTER TABLE codecarbon_experiments MODIFY user_id INT NOT NULL;
+ALTER TABLE codecarbon_runs MODIFY user_id INT NOT NULL;
@@ -0,0 +1,6 @@
+-- The user whose token reported each CI job, so jobs are removed with that user (or project)
+ALTER TABLE ci_jobs ADD COLUMN user_id INT NULL AFTER token_id;
+
+UPDATE ci_jobs j JOIN ci_project_tokens t ON j.token_id = t.id SET j.user_id = t.user_id;
+
+ALTER TABLE ci_jobs MODIFY user_id INT NOT NULL;
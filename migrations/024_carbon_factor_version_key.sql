@@ -0,0 +1,7 @@
+-- MySQL treats NULLs as distinct in unique keys, so uq_carbon_factors_version never caught two region-wide
+-- (sub_grid NULL) versions starting the same day. Key the versions on a copy of sub_grid with NULL as ''.
+-- Any such duplicates already stored must be removed before this is applied.
+ALTER TABLE carbon_factors
+  ADD COLUMN sub_grid_key VARCHAR(100) AS (COALESCE(sub_grid, '')) STORED AFTER sub_grid,
+  DROP INDEX uq_carbon_factors_version,
+  ADD UNIQUE KEY uq_carbon_factors_version (region, sub_grid_key, effective_from);
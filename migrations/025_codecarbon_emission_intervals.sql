@@ -0,0 +1,14 @@
+-- Measurement intervals received from CodeCarbon, one per run and interval end, so an interval the client
+-- resends (CodeCarbon retries failed posts) is answered with its first result instead of being recorded twice.
+CREATE TABLE IF NOT EXISTS codecarbon_emissions (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  run_id CHAR(36) NOT NULL,
+  user_id INT NOT NULL,
+  project_id INT NOT NULL,
+  measured_at DATETIME(3) NOT NULL,
+  emission_session_id INT NULL,
+  response JSON NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uniq_codecarbon_emissions_interval (run_id, measured_at),
+  FOREIGN KEY (run_id) REFERENCES codecarbon_runs (id) ON DELETE CASCADE
+);
@@ -9,6 +9,31 @@ const speakeasy = require('speakeasy');
 const qrcode = require('qrcode');
 const nodemailer = require('nodemailer');
 const path = require('path');
+const {
+  createEmissionEngine,
+  EmissionError,
+  CARBON_FACTOR_COLUMNS,
+  PSU_EFFICIENCY_CURVES,
+  isPsuTier,
+  UNMETERED_SESSION_SOURCES,
+  normalizePeripherals,
+  toDateString,
+  selectCarbonFactor,
+  parseUtilization,
+  parseBytesTransferred,
+  normalizeEnergyMeasurement,
+  parseBatteryReading,
+  resolveSessionWindow
+} = require('./emissions');
+const { createLiveSessionTracker } = require('./liveSessions');
+const { createDeviceSimulator } = require('./simulator');
+const { createCloudUsageRecorder } = require('./cloudUsage');
+const { createEquivalenceCalculator } = require('./equivalences');
+const { createIntensityProvider, isValidTimezone } = require('./intensityProviders');
+const { createMarketAccounting, MARKET_INSTRUMENT_TYPES } = require('./marketAccounting');
+const { createCodeCarbonIngestor } = require('./codecarbon');
+const { createEditorActivityTracker } = require('./editorActivity');
+const { createCiPipelineRecorder } = require('./ciPipelines');
 require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -95,6 +120,13 @@ function queryDatabase(query, params, callback) {
   executeQuery();
 }
 
+// Promise-based variant of queryDatabase for handlers that run many queries in sequence
+function queryDatabaseAsync(query, params = []) {
+  return new Promise((resolve, reject) => {
+    queryDatabase(query, params, (err, results) => (err ? reject(err) : resolve(results)));
+  });
+}
+
 // Wrapper function for transactions
 function executeTransaction(transactionCallback) {
   function startTransaction() {
@@ -121,6 +153,74 @@ function executeTransaction(transactionCallback) {
 // Initialize connection
 createConnection();
 
+// Hourly grid intensity source: admin profiles by default, or a local file or external service
+const intensityProvider = createIntensityProvider(process.env.CARBON_INTENSITY_PROVIDER, {
+  query: queryDatabaseAsync,
+  filePath: process.env.CARBON_INTENSITY_FILE,
+  url: process.env.CARBON_INTENSITY_URL
+});
+
+// Emission calculation engine shared by all session recording routes
+const emissionEngine = createEmissionEngine(queryDatabaseAsync, { intensityProvider });
+
+// Server-tracked live sessions, recorded through the same engine
+const liveSessionTracker = createLiveSessionTracker(queryDatabaseAsync, emissionEngine);
+
+// What-if device comparisons, computed with the engine but never recorded
+const deviceSimulator = createDeviceSimulator(queryDatabaseAsync, emissionEngine);
+
+// Cloud VM usage, recorded into the same ledger as device sessions
+const cloudUsageRecorder = createCloudUsageRecorder(queryDatabaseAsync, emissionEngine);
+
+// Conversions of gCO2e into everyday equivalences (km driven, phone charges, ...)
+const equivalenceCalculator = createEquivalenceCalculator(queryDatabaseAsync);
+
+// Market-based Scope 2 re-pricing of recorded sessions with organizations' RECs and supplier factors
+const marketAccounting = createMarketAccounting(queryDatabaseAsync);
+
+// Emission reports from CodeCarbon clients, recorded against the project of their API key
+const codeCarbonIngestor = createCodeCarbonIngestor(queryDatabaseAsync, emissionEngine);
+
+// Coding time from editor plugin heartbeats, coalesced into sessions on the user's current device
+const editorActivityTracker = createEditorActivityTracker(queryDatabaseAsync, emissionEngine);
+
+// CI job emissions reported by pipelines with a project token, attributed to a project stage
+const ciPipelineRecorder = createCiPipelineRecorder(queryDatabaseAsync, emissionEngine);
+
+// Parse a comma-separated list of equivalence keys from a query string, or null for all of them
+const parseEquivalenceKeys = (value) => (value ? String(value).split(',').map(key => key.trim()).filter(Boolean) : null);
+
+// Tables holding per-session records, and the CodeCarbon keys and CI tokens sessions are reported with,
+// cleared in this order (runs before the experiments they reference) when their project or user is deleted
+const SESSION_TABLES = [
+  'live_sessions', 'editor_sessions', 'emission_sessions',
+  'codecarbon_emissions', 'codecarbon_runs', 'codecarbon_experiments', 'codecarbon_api_keys', 'ci_jobs', 'ci_project_tokens'
+];
+
+// Delete every session record whose column (project_id or user_id) matches id, one table at a time.
+// This removes ledger rows and ingestion keys wholesale, so callers must check the requester owns the
+// project or user (or is an admin) first.
+const deleteSessionRecords = (column, id, callback, tables = SESSION_TABLES) => {
+  if (tables.length === 0) {
+    return callback(null);
+  }
+
+  queryDatabase(`DELETE FROM ${tables[0]} WHERE ${column} = ?`, [id], (err) => {
+    if (err) {
+      return callback(err);
+    }
+    deleteSessionRecords(column, id, callback, tables.slice(1));
+  });
+};
+
+// Periodically close live and editor sessions that stopped sending heartbeats. Serverless deployments may
+// not keep this timer alive, so admin endpoints also sweep on demand and the session routes close the
+// requesting user's own stale sessions.
+setInterval(() => {
+  liveSessionTracker.closeStaleSessions().catch(err => console.error('Error closing stale live sessions:', err));
+  editorActivityTracker.closeStaleSessions().catch(err => console.error('Error closing stale editor sessions:', err));
+}, 60000).unref();
+
 // Utility function to check and update project completion status
 const checkAndUpdateProjectCompletion = (projectId, callback) => {
   // Step 1: Get all project members excluding project_owner role
@@ -172,16 +272,6 @@ const checkAndUpdateProjectCompletion = (projectId, callback) => {
     }  });
 };
 
-// Function to get carbon factor based on region
-const getCarbonFactor = (region) => {
-  const carbonFactors = {
-    'Singapore': 0.412,
-    'Philippines': 0.5246
-  };
-  
-  return carbonFactors[region] || 0.412; // Default to Singapore's factor if region not found
-};
-
 const transporter = nodemailer.createTransport({
   service: 'gmail',
   auth: {
@@ -195,7 +285,7 @@ app.use(cors({
   origin: 'https://emission-vert.vercel.app',
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'Idempotency-Key']
 }));
 
 app.use(bodyParser.json());
@@ -307,7 +397,7 @@ app.use('/uploads', express.static(uploadsDir));
 
 // Endpoint to insert user data into the MySQL database
 app.post('/register', upload.single('profilePicture'), (req, res) => {
-  const { name, email, password, organization, region, device, cpu, gpu, ram, capacity, motherboard, psu } = req.body;
+  const { name, email, password, organization, region, device, cpu, gpu, ram, capacity, motherboard, psu, psu_tier } = req.body;
   const profilePicture = req.file ? req.file.filename : null;
 
   const userQuery = `
@@ -323,11 +413,11 @@ app.post('/register', upload.single('profilePicture'), (req, res) => {
 
     const userId = results.insertId;
     const deviceQuery = `
-      INSERT INTO user_devices (user_id, device, cpu, gpu, ram, capacity, motherboard, psu)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      INSERT INTO user_devices (user_id, device, cpu, gpu, ram, capacity, motherboard, psu, psu_tier)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
     `;
 
-  queryDatabase(deviceQuery, [userId, device, cpu, gpu, ram, capacity, motherboard, psu], (err, deviceResult) => {
+  queryDatabase(deviceQuery, [userId, device, cpu, gpu, ram, capacity, motherboard, psu, isPsuTier(psu_tier) ? psu_tier : null], (err, deviceResult) => {
       if (err) {
         console.error('Error inserting data into the user_devices table:', err);
         return res.status(500).json({ error: 'Database error' });
@@ -373,7 +463,7 @@ app.post('/login', (req, res) => {
       const token = jwt.sign({ email: user.email, id: user.id }, JWT_SECRET, { expiresIn: '7d' });
 
       const deviceQuery = `
-        SELECT id, device, cpu, gpu, ram, capacity, motherboard, psu FROM user_devices WHERE user_id = ?
+        SELECT id, device, cpu, gpu, ram, capacity, motherboard, psu, psu_tier, embodied_kgco2e, lifetime_years FROM user_devices WHERE user_id = ?
       `;
 
       queryDatabase(deviceQuery, [user.id], (err, deviceResults) => {
@@ -550,7 +640,7 @@ app.post('/user_history', authenticateToken, (req, res) => {
       return res.status(500).json({ error: 'Database error' });
     }
 
-    res.status(200).json({ 
+    const respond = () => res.status(200).json({ 
       message: 'Session recorded successfully',
       projectId: results.insertId,
       timeline: {
@@ -561,6 +651,25 @@ app.post('/user_history', authenticateToken, (req, res) => {
         project_due_date
       }
     });
+
+    if (!(Number(carbonEmit) > 0) && !(Number(sessionDuration) > 0)) {
+      return respond();
+    }
+
+    // Client-supplied starting totals go into the ledger so they survive derived total refreshes
+    emissionEngine.recordEmissionSession({
+      projectId: results.insertId,
+      userId,
+      source: 'manual',
+      region: null,
+      sessionDuration: Number(sessionDuration) || 0,
+      energyWh: 0,
+      carbonFactor: { id: null, factor: 0 },
+      carbonEmissions: Number(carbonEmit) || 0
+    }).then(respond, (err) => {
+      console.error('Error recording initial session totals:', err);
+      res.status(500).json({ error: 'Database error' });
+    });
   });
 });
 
@@ -571,7 +680,7 @@ app.get('/user_projects', authenticateToken, (req, res) => {
   const userId = req.user.id; // Get the user ID from the authenticated token
 
   const query = `
-    SELECT id, organization, project_name, project_description, session_duration, carbon_emit, stage, status 
+    SELECT id, organization, project_name, project_description, session_duration, carbon_emit, embodied_emit, network_emit, emissions_low, emissions_high, energy_wh / 1000 AS energy_kwh, measured_energy_wh / 1000 AS measured_energy_kwh, energy_cost, cost_currency, stage, status 
     FROM user_history 
     WHERE user_id = ? AND status <> 'Complete'
   `;
@@ -586,16 +695,41 @@ app.get('/user_projects', authenticateToken, (req, res) => {
   });
 });
 
+// Costs in different currencies cannot be added, so aggregates report energy cost as a { currency: amount }
+// map per group. rows are (key, cost_currency, energy_cost) sums from the emission_sessions ledger.
+const groupEnergyCosts = (rows, keyColumn) => rows.reduce((groups, row) => {
+  const key = keyColumn ? row[keyColumn] : null;
+  const costs = groups.get(key) || {};
+  costs[row.cost_currency] = Number(row.energy_cost);
+  return groups.set(key, costs);
+}, new Map());
+
 app.get('/all_user_projects', authenticateToken, (req, res) => {
   const userId = req.user.id;
 
   const query = `
-    SELECT project_name, SUM(carbon_emit) as total_emissions
+    SELECT 
+      project_name,
+      SUM(carbon_emit) as total_emissions,
+      SUM(embodied_emit) as total_embodied_emissions,
+      SUM(network_emit) as total_network_emissions,
+      SUM(emissions_low) as total_emissions_low,
+      SUM(emissions_high) as total_emissions_high,
+      SUM(energy_wh) / 1000 as total_energy_kwh,
+      SUM(measured_energy_wh) / 1000 as total_measured_energy_kwh
     FROM user_history
     WHERE user_id = ?
     GROUP BY project_name
   `;
 
+  const costsQuery = `
+    SELECT uh.project_name, es.cost_currency, SUM(es.energy_cost) AS energy_cost
+    FROM emission_sessions es
+    JOIN user_history uh ON es.project_id = uh.id
+    WHERE uh.user_id = ? AND es.cost_currency IS NOT NULL
+    GROUP BY uh.project_name, es.cost_currency
+  `;
+
   console.log('Executing query:', query);
   console.log('With parameters:', [userId]);
 
@@ -607,23 +741,104 @@ app.get('/all_user_projects', authenticateToken, (req, res) => {
 
     console.log('Query results:', results);
 
-    // Calculate highest and lowest emissions
-    if (results.length > 0) {
-      const emissions = results.map(r => r.total_emissions);
-      const highestEmission = Math.max(...emissions);
-      const lowestEmission = Math.min(...emissions);
-      res.status(200).json({ projects: results, highestEmission, lowestEmission });
-    } else {
-      res.status(200).json({ projects: results, highestEmission: null, lowestEmission: null });
+    queryDatabase(costsQuery, [userId], (err, costRows) => {
+      if (err) {
+        console.error('Error querying the database:', err);
+        return res.status(500).json({ error: 'Database error', details: err.message });
+      }
+
+      const costs = groupEnergyCosts(costRows, 'project_name');
+      const projects = results.map(project => ({ ...project, energy_costs: costs.get(project.project_name) || {} }));
+
+      // Calculate highest and lowest emissions
+      if (projects.length > 0) {
+        const emissions = projects.map(r => r.total_emissions);
+        const highestEmission = Math.max(...emissions);
+        const lowestEmission = Math.min(...emissions);
+        res.status(200).json({ projects, highestEmission, lowestEmission });
+      } else {
+        res.status(200).json({ projects, highestEmission: null, lowestEmission: null });
+      }
+    });
+  });
+});
+
+// Endpoint to fetch the user's own recorded emissions, with operational, embodied and network reported separately
+app.get('/user_emission_totals', authenticateToken, (req, res) => {
+  const userId = req.user.id;
+
+  const query = `
+    SELECT 
+      COUNT(*) AS session_count,
+      COALESCE(SUM(session_duration), 0) AS session_duration,
+      COALESCE(SUM(carbon_emit), 0) AS operational_emit,
+      COALESCE(SUM(embodied_emit), 0) AS embodied_emit,
+      COALESCE(SUM(network_emit), 0) AS network_emit,
+      COALESCE(SUM(emissions_low), 0) AS emissions_low,
+      COALESCE(SUM(emissions_high), 0) AS emissions_high,
+      COALESCE(SUM(energy_wh), 0) / 1000 AS energy_kwh,
+      COALESCE(SUM(measured_energy_wh), 0) / 1000 AS measured_energy_kwh
+    FROM emission_sessions
+    WHERE user_id = ?
+  `;
+
+  const costsQuery = `
+    SELECT cost_currency, SUM(energy_cost) AS energy_cost
+    FROM emission_sessions
+    WHERE user_id = ? AND cost_currency IS NOT NULL
+    GROUP BY cost_currency
+  `;
+
+  queryDatabase(query, [userId], (err, results) => {
+    if (err) {
+      console.error('Error querying the database:', err);
+      return res.status(500).json({ error: 'Database error' });
     }
+
+    queryDatabase(costsQuery, [userId], (err, costRows) => {
+      if (err) {
+        console.error('Error querying the database:', err);
+        return res.status(500).json({ error: 'Database error' });
+      }
+
+      const totals = results[0];
+      const totalEmit = Number(totals.operational_emit) + Number(totals.embodied_emit) + Number(totals.network_emit);
+      const respond = (equivalences) => res.status(200).json({
+        totals: {
+          ...totals,
+          total_emit: totalEmit,
+          energy_costs: groupEnergyCosts(costRows).get(null) || {}
+        },
+        ...(equivalences && { equivalences: equivalences.equivalences })
+      });
+
+      // ?equivalences=true adds the total expressed in everyday equivalences
+      if (req.query.equivalences !== 'true') {
+        return respond(null);
+      }
+      equivalenceCalculator.convert(totalEmit, parseEquivalenceKeys(req.query.equivalenceKeys)).then(respond, (err) => {
+        console.error('Error converting emission equivalences:', err);
+        res.status(500).json({ error: 'Database error' });
+      });
+    });
   });
 });
 
+// Convert an amount of CO2e (grams) into the configured equivalences; keys optionally narrows the list
+app.get('/equivalences', authenticateToken, async (req, res) => {
+  try {
+    const result = await equivalenceCalculator.convert(req.query.grams, parseEquivalenceKeys(req.query.keys));
+    res.status(200).json(result);
+  } catch (error) {
+    handleEmissionError(res, error);
+  }
+});
+
 app.get('/profile_display_projects', authenticateToken, (req, res) => {
   const userId = req.user.id; // Get the user ID from the authenticated token
 
   const query = `
-    SELECT id, organization, project_name, project_description, session_duration, carbon_emit, stage, status, created_at 
+    SELECT id, organization, project_name, project_description, session_duration, carbon_emit, embodied_emit, network_emit, emissions_low, emissions_high, energy_wh / 1000 AS energy_kwh, measured_energy_wh / 1000 AS measured_energy_kwh, energy_cost, cost_currency, stage, status, created_at 
     FROM user_history 
     WHERE user_id = ?
     ORDER BY created_at DESC
@@ -644,7 +859,7 @@ app.get('/user_project_display', authenticateToken, (req, res) => {
   const userId = req.user.id; // Get the user ID from the authenticated token
 
   const query = `
-    SELECT id, organization, project_name, project_description, session_duration, carbon_emit, stage, status 
+    SELECT id, organization, project_name, project_description, session_duration, carbon_emit, embodied_emit, network_emit, emissions_low, emissions_high, energy_wh / 1000 AS energy_kwh, measured_energy_wh / 1000 AS measured_energy_kwh, energy_cost, cost_currency, stage, status 
     FROM user_history 
     WHERE user_id = ? AND status
   `;
@@ -734,18 +949,19 @@ app.put('/update_project/:id', authenticateToken, (req, res) => {
 });
 
 app.post('/user_Update', authenticateToken, (req, res) => {
-  const { projectName, projectDescription, sessionDuration, carbonEmissions, projectStage, projectId } = req.body;
+  const { projectName, projectDescription, projectStage, projectId } = req.body;
   const userId = req.user.id; // Get the user ID from the authenticated token
 
+  // session_duration and carbon_emit are derived from the emission_sessions ledger, so only the stage is updated here
   const query = `
     UPDATE user_history 
-    SET session_duration = ?, carbon_emit = ?, stage = ?
+    SET stage = ?
     WHERE id = ? AND (user_id = ? OR id IN (SELECT project_id FROM project_members WHERE user_id = ?)) AND project_name = ? AND project_description = ? AND status <> 'Complete'
   `;
 
   queryDatabase(
     query,
-    [sessionDuration, carbonEmissions, projectStage, projectId, userId, userId, projectName, projectDescription],
+    [projectStage, projectId, userId, userId, projectName, projectDescription],
     (err, results) => {
       if (err) {
         console.error('Error updating session data in the database:', err);
@@ -762,46 +978,43 @@ app.post('/user_Update', authenticateToken, (req, res) => {
 });
 
 
-// Endpoint to delete a project
+// Endpoint to delete a project. Only the owner may delete it, and ownership is checked before anything
+// (notifications, members, the session ledger and the keys and tokens reporting to it) is removed.
 app.delete('/delete_project/:id', authenticateToken, (req, res) => {
   const projectId = req.params.id; // Get project ID from request parameters
   const userId = req.user.id; // Get user ID from the authenticated token
 
-  // First, delete related notifications
-  const deleteNotificationsQuery = `
-    DELETE FROM notifications WHERE project_id = ?;
-  `;
-
-  queryDatabase(deleteNotificationsQuery, [projectId], (err, results) => {
+  executeTransaction(async (err, conn) => {
     if (err) {
-      console.error('Error deleting notifications from the database:', err);
-      return res.status(500).json({ error: 'Database error' });
+      console.error('Error starting transaction:', err);
+      return res.status(500).json({ error: 'Transaction error' });
     }
 
-    // Then, delete related project members
-    const deleteProjectMembersQuery = `
-      DELETE FROM project_members WHERE project_id = ?;
-    `;
-
-    queryDatabase(deleteProjectMembersQuery, [projectId], (err, results) => {
-      if (err) {
-        console.error('Error deleting project members from the database:', err);
-        return res.status(500).json({ error: 'Database error' });
+    try {
+      const projects = await queryDatabaseAsync('SELECT id FROM user_history WHERE id = ? AND user_id = ?', [projectId, userId]);
+      if (projects.length === 0) {
+        return conn.rollback(() => res.status(404).json({ error: 'Project not found' }));
       }
 
-      // Finally, delete the project
-      const deleteProjectQuery = `
-        DELETE FROM user_history WHERE id = ? AND user_id = ?;
-      `;
-
-      queryDatabase(deleteProjectQuery, [projectId, userId], (err, results) => {
-        if (err) {
-          console.error('Error deleting project from the database:', err);
-          return res.status(500).json({ error: 'Database error' });
-        }
-
-        res.status(200).json({ message: 'Project deleted successfully' });
+      await queryDatabaseAsync('DELETE FROM notifications WHERE project_id = ?', [projectId]);
+      await queryDatabaseAsync('DELETE FROM project_members WHERE project_id = ?', [projectId]);
+      await new Promise((resolve, reject) => deleteSessionRecords('project_id', projectId, err => (err ? reject(err) : resolve())));
+      await queryDatabaseAsync('DELETE FROM user_history WHERE id = ? AND user_id = ?', [projectId, userId]);
+    } catch (err) {
+      return conn.rollback(() => {
+        console.error('Error deleting project from the database:', err);
+        res.status(500).json({ error: 'Database error' });
       });
+    }
+
+    conn.commit(err => {
+      if (err) {
+        return conn.rollback(() => {
+          console.error('Error committing transaction:', err);
+          res.status(500).json({ error: 'Database error' });
+        });
+      }
+      res.status(200).json({ message: 'Project deleted successfully' });
     });
   });
 });
@@ -910,94 +1123,52 @@ app.post('/check_existing_projectname', authenticateToken, (req, res) => {
   });
 });
 
-// Endpoint to calculate carbon emissions for pc personal computer
-app.post('/calculate_emissions', authenticateToken, async (req, res) => {
-  const { sessionDuration, projectId } = req.body;
-  const userId = req.user.id;
-
-  try {
-    // Fetch user's current device ID and region
-    const deviceIdQuery = `SELECT current_device_id, region FROM users WHERE id = ?`;
-    queryDatabase(deviceIdQuery, [userId], (err, deviceIdResults) => {
-      if (err) {
-        console.error('Error fetching current device ID:', err);
-        return res.status(500).json({ error: 'Database error' });
-      }
-
-      if (deviceIdResults.length === 0 || !deviceIdResults[0].current_device_id) {
-        return res.status(404).json({ error: 'Current device not set' });
-      }
-
-      const currentDeviceId = deviceIdResults[0].current_device_id;
-      const userRegion = deviceIdResults[0].region;
-
-      // Fetch current device details
-      const userQuery = `SELECT cpu, gpu, ram, psu FROM user_devices WHERE id = ?`;
-      queryDatabase(userQuery, [currentDeviceId], async (err, userResults) => {
-        if (err) {
-          console.error('Error fetching user details:', err);
-          return res.status(500).json({ error: 'Database error' });
-        }
-
-        if (userResults.length === 0) {
-          return res.status(404).json({ error: 'User device information not found' });
-        }
-
-        const { cpu, gpu, ram, psu } = userResults[0];
-
-        // Fetch CPU, GPU, and RAM wattage
-        const cpuResponse = await fetch(`https://emissionserver.vercel.app/cpu_usage?model=${cpu}`);
-        const gpuResponse = await fetch(`https://emissionserver.vercel.app/gpu_usage?model=${gpu}`);
-        const ramResponse = await fetch(`https://emissionserver.vercel.app/ram_usage?model=${ram}`);
-
-        if (cpuResponse.ok && gpuResponse.ok && ramResponse.ok) {
-          const { avg_watt_usage: cpuWattUsage } = await cpuResponse.json();
-          const { avg_watt_usage: gpuWattUsage } = await gpuResponse.json();
-          const { avg_watt_usage: ramWattUsage } = await ramResponse.json();
-
-          const psuWattUsage = Number(psu);
-
-          // Ensure wattage values are numbers
-          const totalWattUsage = Number(cpuWattUsage) + Number(gpuWattUsage) + Number(ramWattUsage) + psuWattUsage;
-
-          // Calculate energy used (in watt-hours)
-          const sessionDurationSeconds = Number(sessionDuration);
-          const totalEnergyUsed = (totalWattUsage / 3600) * sessionDurationSeconds;
-
-          // Get carbon factor based on user's region
-          const carbonFactor = getCarbonFactor(userRegion);
-          const carbonEmissions = totalEnergyUsed * carbonFactor;
+// Respond with the status carried by an EmissionError, or a 500 for anything unexpected
+const handleEmissionError = (res, error) => {
+  if (error instanceof EmissionError) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error('Error calculating carbon emissions:', error);
+  res.status(500).json({ error: 'Internal Server Error' });
+};
 
-          // Update the project with the calculated emissions
-          const updateProjectQuery = `
-            UPDATE user_history 
-            SET carbon_emit = carbon_emit + ?
-            WHERE id = ? AND (user_id = ? OR id IN (SELECT project_id FROM project_members WHERE user_id = ?))
-          `;
+// Calculate and record a session's carbon emissions on the user's current device.
+// Laptops and phones may report batteryDischargeMwh (and charging) to measure the session from the battery.
+// An Idempotency-Key header (or idempotencyKey field) makes retries return the original result.
+const calculateEmissionsHandler = async (req, res) => {
+  const { sessionDuration, projectId, subGrid, startedAt, endedAt } = req.body;
+  const idempotencyKey = req.get('Idempotency-Key') || req.body.idempotencyKey;
+  const session = {
+    userId: req.user.id,
+    projectId,
+    sessionDuration,
+    subGrid,
+    startedAt,
+    endedAt,
+    cpuUtilization: parseUtilization(req.body.cpuUtilization),
+    gpuUtilization: parseUtilization(req.body.gpuUtilization),
+    bytesTransferred: parseBytesTransferred(req.body.bytesTransferred),
+    measurement: parseBatteryReading(req.body)
+  };
 
-          queryDatabase(updateProjectQuery, [carbonEmissions, projectId, userId, userId], (err, results) => {
-            if (err) {
-              console.error('Error updating project emissions:', err);
-              return res.status(500).json({ error: 'Database error' });
-            }
+  try {
+    const result = await emissionEngine.withIdempotencyKey(req.user.id, idempotencyKey, session, () =>
+      emissionEngine.calculateSession(session)
+    );
 
-            res.status(200).json({ carbonEmissions });
-          });
-        } else {
-          return res.status(500).json({ error: 'Error fetching wattage data' });
-        }
-      });
-    });
+    res.status(200).json({ message: 'Carbon emissions calculated successfully', ...result });
   } catch (error) {
-    console.error('Error calculating carbon emissions:', error);
-    res.status(500).json({ error: 'Internal Server Error' });
+    handleEmissionError(res, error);
   }
-});
+};
+
+// Endpoint to calculate carbon emissions for pc personal computer
+app.post('/calculate_emissions', authenticateToken, calculateEmissionsHandler);
 
 // Check CPU watt usage for pc personal computer
 app.get('/cpu_usage', (req, res) => {
   const { model } = req.query;
-  const query = 'SELECT avg_watt_usage FROM cpus WHERE model = ?';
+  const query = 'SELECT avg_watt_usage, idle_watts, peak_watts FROM cpus WHERE model = ?';
   
   queryDatabase(query, [model], (err, results) => {
     if (err) {
@@ -1006,7 +1177,8 @@ app.get('/cpu_usage', (req, res) => {
     }
     
     if (results.length > 0) {
-      res.status(200).json({ avg_watt_usage: results[0].avg_watt_usage });
+      const { avg_watt_usage, idle_watts, peak_watts } = results[0];
+      res.status(200).json({ avg_watt_usage, idle_watts, peak_watts });
     } else {
       res.status(404).json({ error: 'CPU not found' });
     }
@@ -1016,7 +1188,7 @@ app.get('/cpu_usage', (req, res) => {
 // Check GPU watt usage for pc personal computer
 app.get('/gpu_usage', (req, res) => {
   const { model } = req.query;
-  const query = 'SELECT avg_watt_usage FROM gpus WHERE model = ?';
+  const query = 'SELECT avg_watt_usage, idle_watts, peak_watts FROM gpus WHERE model = ?';
   
   queryDatabase(query, [model], (err, results) => {
     if (err) {
@@ -1025,7 +1197,8 @@ app.get('/gpu_usage', (req, res) => {
     }
     
     if (results.length > 0) {
-      res.status(200).json({ avg_watt_usage: results[0].avg_watt_usage });
+      const { avg_watt_usage, idle_watts, peak_watts } = results[0];
+      res.status(200).json({ avg_watt_usage, idle_watts, peak_watts });
     } else {
       res.status(404).json({ error: 'GPU not found' });
     }
@@ -1033,145 +1206,450 @@ app.get('/gpu_usage', (req, res) => {
 });
 
 // Endpoint to calculate carbon emissions for mobile or laptop
-app.post('/calculate_emissionsM', authenticateToken, async (req, res) => {
-  const { sessionDuration, projectId } = req.body;
-  const userId = req.user.id;
+// Kept for existing clients; the device class is resolved from the current device either way.
+// Battery discharge readings replace the cpusm/gpusm catalog model unless missing or taken while charging.
+app.post('/calculate_emissionsM', authenticateToken, calculateEmissionsHandler);
 
-  try {
-    // Fetch user's current device ID and region
-    const deviceIdQuery = `SELECT current_device_id, region FROM users WHERE id = ?`;
-    queryDatabase(deviceIdQuery, [userId], (err, deviceIdResults) => {
-      if (err) {
-        console.error('Error fetching current device ID:', err);
-        return res.status(500).json({ error: 'Database error' });
-      }
+// Maximum number of sessions accepted in one batch upload
+const MAX_BATCH_SESSIONS = 200;
 
-      if (deviceIdResults.length === 0 || !deviceIdResults[0].current_device_id) {
-        return res.status(404).json({ error: 'Current device not set' });
-      }
+// Upload sessions queued while offline. Each item is validated and recorded on its own, using the
+// carbon factor effective at its timestamp, and the response reports success or failure per item.
+app.post('/sessions/batch', authenticateToken, async (req, res) => {
+  const { sessions } = req.body;
 
-      const currentDeviceId = deviceIdResults[0].current_device_id;
-      const userRegion = deviceIdResults[0].region;
+  if (!Array.isArray(sessions) || sessions.length === 0) {
+    return res.status(400).json({ error: 'sessions must be a non-empty array' });
+  }
+  if (sessions.length > MAX_BATCH_SESSIONS) {
+    return res.status(400).json({ error: `A batch may contain at most ${MAX_BATCH_SESSIONS} sessions` });
+  }
 
-      // Fetch current device details
-      const userQuery = `SELECT cpu, gpu, ram, psu FROM user_devices WHERE id = ?`;
-      queryDatabase(userQuery, [currentDeviceId], async (err, userResults) => {
-        if (err) {
-          console.error('Error fetching user details:', err);
-          return res.status(500).json({ error: 'Database error' });
-        }
+  const results = [];
+  for (const [index, item] of sessions.entries()) {
+    try {
+      if (!item || typeof item !== 'object') {
+        throw new EmissionError(400, 'Session must be an object');
+      }
+      if (!item.startedAt && !item.endedAt) {
+        throw new EmissionError(400, 'Queued sessions require startedAt or endedAt');
+      }
+      // Check where the session ends, which for items with only startedAt is startedAt + sessionDuration;
+      // resolving the window also rejects items whose timestamps and duration disagree
+      const window = resolveSessionWindow(Number(item.sessionDuration) || 0, item.startedAt, item.endedAt);
+      if (window.endedAt.getTime() > Date.now()) {
+        throw new EmissionError(400, 'Session timestamps cannot be in the future');
+      }
 
-        if (userResults.length === 0) {
-          return res.status(404).json({ error: 'User device information not found' });
-        }
+      const session = {
+        userId: req.user.id,
+        projectId: item.projectId,
+        deviceId: item.deviceId || null,
+        sessionDuration: item.sessionDuration,
+        subGrid: item.subGrid,
+        startedAt: item.startedAt,
+        endedAt: item.endedAt,
+        cpuUtilization: parseUtilization(item.cpuUtilization),
+        gpuUtilization: parseUtilization(item.gpuUtilization),
+        bytesTransferred: parseBytesTransferred(item.bytesTransferred),
+        measurement: parseBatteryReading(item)
+      };
+      const result = await emissionEngine.withIdempotencyKey(req.user.id, item.idempotencyKey, session, () =>
+        emissionEngine.calculateSession(session)
+      );
 
-        const { cpu, gpu, ram, psu } = userResults[0];
+      results.push({ index, projectId: item.projectId, success: true, ...result });
+    } catch (error) {
+      if (!(error instanceof EmissionError)) {
+        console.error(`Error recording batch session ${index}:`, error);
+      }
+      results.push({
+        index,
+        projectId: item ? item.projectId : undefined,
+        success: false,
+        status: error instanceof EmissionError ? error.status : 500,
+        error: error instanceof EmissionError ? error.message : 'Internal Server Error'
+      });
+    }
+  }
 
-        // Fetch CPU, GPU, and RAM wattage from mobile tables
-        const cpuResponse = await fetch(`https://emissionserver.vercel.app/cpum_usage?model=${cpu}`);
-        const gpuResponse = await fetch(`https://emissionserver.vercel.app/gpum_usage?model=${gpu}`);
-        const ramResponse = await fetch(`https://emissionserver.vercel.app/ram_usage?model=${ram}`);
+  const succeeded = results.filter(result => result.success).length;
+  res.status(200).json({
+    message: 'Batch processed',
+    succeeded,
+    failed: results.length - succeeded,
+    results
+  });
+});
 
-        if (cpuResponse.ok && gpuResponse.ok && ramResponse.ok) {
-          const cpuData = await cpuResponse.json();
-          const gpuData = await gpuResponse.json();
-          const ramData = await ramResponse.json();
+// Record a session from a measured energy reading (RAPL/NVML counters or a smart plug / power meter) on one of
+// the user's devices. The reading replaces the catalog estimate for what the meter covers, and the session is
+// labeled measured (or mixed when some draw is still estimated).
+app.post('/sessions/measured', authenticateToken, async (req, res) => {
+  const { projectId, deviceId, meter, energyWh, components, startedAt, endedAt, subGrid } = req.body;
+  const idempotencyKey = req.get('Idempotency-Key') || req.body.idempotencyKey;
 
-          const cpuWattage = cpuData.avg_watt_usage;
-          const gpuWattage = gpuData.avg_watt_usage;
-          const ramWattage = ramData.avg_watt_usage;
+  try {
+    if (!deviceId) {
+      throw new EmissionError(400, 'deviceId is required for measured readings');
+    }
+    if (!startedAt || !endedAt || isNaN(new Date(startedAt).getTime()) || isNaN(new Date(endedAt).getTime())) {
+      throw new EmissionError(400, 'Measured readings require valid startedAt and endedAt timestamps');
+    }
+    if (new Date(endedAt).getTime() > Date.now()) {
+      throw new EmissionError(400, 'Session timestamps cannot be in the future');
+    }
 
-          /// Calculate total wattage
-          const totalWattage = cpuWattage + gpuWattage + ramWattage;
+    const session = {
+      userId: req.user.id,
+      projectId,
+      deviceId,
+      sessionDuration: (new Date(endedAt).getTime() - new Date(startedAt).getTime()) / 1000,
+      subGrid,
+      startedAt,
+      endedAt,
+      bytesTransferred: parseBytesTransferred(req.body.bytesTransferred),
+      measurement: normalizeEnergyMeasurement({ meter, energyWh, components })
+    };
+    if (!session.measurement) {
+      throw new EmissionError(400, 'meter is required for measured readings');
+    }
 
-          // Get carbon factor based on user's region
-          const carbonFactor = getCarbonFactor(userRegion);
-          // Calculate carbon emissions
-          const carbonEmissions = ((totalWattage * sessionDuration) / 3600) * carbonFactor;
+    const result = await emissionEngine.withIdempotencyKey(req.user.id, idempotencyKey, session, () =>
+      emissionEngine.calculateSession(session)
+    );
+    res.status(200).json({ message: 'Measured session recorded successfully', ...result });
+  } catch (error) {
+    handleEmissionError(res, error);
+  }
+});
 
-          // Update the project with the new carbon emissions and session duration
-          const updateQuery = `
-            UPDATE user_history
-            SET session_duration = session_duration + ?, carbon_emit = carbon_emit + ?
-            WHERE id = ? AND user_id = ?
-          `;
+// Start a server-tracked live session on the user's current device
+app.post('/live-sessions/start', authenticateToken, async (req, res) => {
+  const { projectId, subGrid } = req.body;
 
-          queryDatabase(updateQuery, [sessionDuration, carbonEmissions, projectId, userId], (err, updateResults) => {
-            if (err) {
-              console.error('Error updating project data:', err);
-              return res.status(500).json({ error: 'Database error' });
-            }
+  try {
+    // Only the user's own stale sessions; the timer and the admin endpoint sweep everyone's
+    await liveSessionTracker.closeStaleSessions(req.user.id);
+    const liveSession = await liveSessionTracker.start({ userId: req.user.id, projectId, subGrid });
+    res.status(201).json({ message: 'Live session started', ...liveSession });
+  } catch (error) {
+    handleEmissionError(res, error);
+  }
+});
 
-            res.status(200).json({ message: 'Carbon emissions calculated successfully', carbonEmissions });
-          });
+// Keep a live session open, optionally reporting CPU/GPU utilization since the last heartbeat
+app.post('/live-sessions/:id/heartbeat', authenticateToken, async (req, res) => {
+  const { cpuUtilization, gpuUtilization } = req.body;
 
-        } else {
-          console.error('Error fetching wattage data from server');
-          res.status(500).json({ error: 'Error fetching wattage data from server' });
-        }
-      });
+  try {
+    const result = await liveSessionTracker.heartbeat({
+      userId: req.user.id,
+      liveSessionId: req.params.id,
+      cpuUtilization,
+      gpuUtilization
     });
+    res.status(200).json(result);
   } catch (error) {
-    console.error('Error calculating carbon emissions:', error);
-    res.status(500).json({ error: 'Internal Server Error' });
+    handleEmissionError(res, error);
   }
 });
 
-// Check CPU watt usage for mobile or laptop
-app.get('/cpum_usage', (req, res) => {
-  const { model } = req.query;
-  const query = 'SELECT cpu_watts AS avg_watt_usage FROM cpusm WHERE model = ?';
-  
-  queryDatabase(query, [model], (err, results) => {
-    if (err) {
-      console.error('Error querying CPU database:', err);
-      return res.status(500).json({ error: 'Database error' });
-    }
-    
-    if (results.length > 0) {
-      res.status(200).json({ avg_watt_usage: results[0].avg_watt_usage });
-    } else {
-      res.status(404).json({ error: 'CPU not found' });
-    }
-  });
+// Stop a live session and record its emissions over the server-observed duration
+app.post('/live-sessions/:id/stop', authenticateToken, async (req, res) => {
+  try {
+    const result = await liveSessionTracker.stop({
+      userId: req.user.id,
+      liveSessionId: req.params.id,
+      bytesTransferred: parseBytesTransferred(req.body.bytesTransferred)
+    });
+    res.status(200).json({ message: 'Live session stopped', ...result });
+  } catch (error) {
+    handleEmissionError(res, error);
+  }
 });
 
-// Check GPU watt usage for mobile or laptop
-app.get('/gpum_usage', (req, res) => {
-  const { model } = req.query;
-  const query = 'SELECT gpu_watts AS avg_watt_usage FROM gpusm WHERE model = ?';
-  
-  queryDatabase(query, [model], (err, results) => {
-    if (err) {
-      console.error('Error querying GPU database:', err);
-      return res.status(500).json({ error: 'Database error' });
-    }
-    
-    if (results.length > 0) {
-      res.status(200).json({ avg_watt_usage: results[0].avg_watt_usage });
-    } else {
-      res.status(404).json({ error: 'GPU not found' });
-    }
-  });
+// Issue a personal token for editor plugins; the token is only returned in this response
+app.post('/editor-tokens', authenticateToken, async (req, res) => {
+  try {
+    res.status(201).json(await editorActivityTracker.createToken({ userId: req.user.id, label: req.body.label || null }));
+  } catch (error) {
+    handleEmissionError(res, error);
+  }
 });
 
-// Check ram watt usage for mobile or laptop
-app.get('/ram_usage', (req, res) => {
-  const { model } = req.query;
-  const query = 'SELECT avg_watt_usage FROM ram WHERE ddr_generation = ?';
-  
-  queryDatabase(query, [model], (err, results) => {
-    if (err) {
-      console.error('Error querying CPU database:', err);
-      return res.status(500).json({ error: 'Database error' });
-    }
-    
-    if (results.length > 0) {
-      res.status(200).json({ avg_watt_usage: results[0].avg_watt_usage });
-    } else {
-      res.status(404).json({ error: 'CPU not found' });
-    }
-  });
+app.get('/editor-tokens', authenticateToken, async (req, res) => {
+  try {
+    res.status(200).json(await editorActivityTracker.listTokens({ userId: req.user.id }));
+  } catch (error) {
+    handleEmissionError(res, error);
+  }
+});
+
+app.delete('/editor-tokens/:id', authenticateToken, async (req, res) => {
+  try {
+    await editorActivityTracker.revokeToken({ userId: req.user.id, tokenId: req.params.id });
+    res.status(200).json({ message: 'Token revoked successfully' });
+  } catch (error) {
+    handleEmissionError(res, error);
+  }
+});
+
+// Middleware to authenticate editor plugins by the personal token they send in x-api-token
+const authenticateEditorToken = async (req, res, next) => {
+  try {
+    req.user = { id: await editorActivityTracker.authenticate(req.get('x-api-token')) };
+    next();
+  } catch (error) {
+    handleEmissionError(res, error);
+  }
+};
+
+// Accept one heartbeat ({ entity, project, timestamp, editor }) or an array of queued ones. Heartbeats are
+// coalesced into editor sessions; the response lists which were accepted and any sessions they closed.
+app.post('/editor/heartbeats', authenticateEditorToken, async (req, res) => {
+  try {
+    const result = await editorActivityTracker.recordHeartbeats(req.user.id, req.body.heartbeats || req.body);
+    res.status(200).json(result);
+  } catch (error) {
+    handleEmissionError(res, error);
+  }
+});
+
+// Compare a candidate device (a user_devices id or catalog components) against the user's current device,
+// for a hypothetical session or replayed over a project's recorded sessions
+app.post('/simulate/device-comparison', authenticateToken, async (req, res) => {
+  const { candidate, region, subGrid, sessionDuration, projectId } = req.body;
+
+  try {
+    const result = await deviceSimulator.compare({
+      userId: req.user.id,
+      candidate,
+      region,
+      subGrid,
+      sessionDuration,
+      projectId,
+      cpuUtilization: parseUtilization(req.body.cpuUtilization),
+      gpuUtilization: parseUtilization(req.body.gpuUtilization)
+    });
+    res.status(200).json(result);
+  } catch (error) {
+    handleEmissionError(res, error);
+  }
+});
+
+// Record cloud VM usage (provider, instance type, cloud region, hours) against a project
+app.post('/cloud-usage', authenticateToken, async (req, res) => {
+  const { projectId, provider, instanceType, region, hours, instanceCount, startedAt, endedAt } = req.body;
+  const idempotencyKey = req.get('Idempotency-Key') || req.body.idempotencyKey;
+  const usage = {
+    userId: req.user.id,
+    projectId,
+    provider,
+    instanceType,
+    region,
+    hours,
+    instanceCount,
+    utilization: parseUtilization(req.body.utilization),
+    bytesTransferred: parseBytesTransferred(req.body.bytesTransferred),
+    startedAt,
+    endedAt
+  };
+
+  try {
+    const result = await emissionEngine.withIdempotencyKey(req.user.id, idempotencyKey, usage, () =>
+      cloudUsageRecorder.record(usage)
+    );
+    res.status(200).json({ message: 'Cloud usage recorded successfully', ...result });
+  } catch (error) {
+    handleEmissionError(res, error);
+  }
+});
+
+// Issue a CodeCarbon API key for a project; the key is only returned in this response
+app.post('/project/:id/codecarbon-keys', authenticateToken, async (req, res) => {
+  try {
+    const key = await codeCarbonIngestor.createApiKey({ userId: req.user.id, projectId: req.params.id, label: req.body.label || null });
+    res.status(201).json(key);
+  } catch (error) {
+    handleEmissionError(res, error);
+  }
+});
+
+app.get('/project/:id/codecarbon-keys', authenticateToken, async (req, res) => {
+  try {
+    res.status(200).json(await codeCarbonIngestor.listApiKeys({ userId: req.user.id, projectId: req.params.id }));
+  } catch (error) {
+    handleEmissionError(res, error);
+  }
+});
+
+// Revoke a key; sessions it already reported stay in the ledger
+app.delete('/project/:id/codecarbon-keys/:keyId', authenticateToken, async (req, res) => {
+  try {
+    await codeCarbonIngestor.revokeApiKey({ userId: req.user.id, projectId: req.params.id, keyId: req.params.keyId });
+    res.status(200).json({ message: 'API key revoked successfully' });
+  } catch (error) {
+    handleEmissionError(res, error);
+  }
+});
+
+// Middleware to authenticate CodeCarbon clients by the API key they send in x-api-token
+const authenticateCodeCarbonKey = async (req, res, next) => {
+  try {
+    req.codeCarbonKey = await codeCarbonIngestor.authenticate(req.get('x-api-token'));
+    next();
+  } catch (error) {
+    handleEmissionError(res, error);
+  }
+};
+
+// CodeCarbon API output (api_endpoint = <server>/codecarbon): experiment and run registration, then
+// the emissions of each measurement interval. CodeCarbon expects 201 responses.
+app.post('/codecarbon/experiments', authenticateCodeCarbonKey, async (req, res) => {
+  try {
+    res.status(201).json(await codeCarbonIngestor.createExperiment(req.codeCarbonKey, req.body));
+  } catch (error) {
+    handleEmissionError(res, error);
+  }
+});
+
+app.post('/codecarbon/runs', authenticateCodeCarbonKey, async (req, res) => {
+  try {
+    res.status(201).json(await codeCarbonIngestor.createRun(req.codeCarbonKey, req.body));
+  } catch (error) {
+    handleEmissionError(res, error);
+  }
+});
+
+app.post('/codecarbon/emissions', authenticateCodeCarbonKey, async (req, res) => {
+  try {
+    const result = await codeCarbonIngestor.recordEmission(req.codeCarbonKey, req.body);
+    res.status(result.idempotentReplay ? 200 : 201).json(result);
+  } catch (error) {
+    handleEmissionError(res, error);
+  }
+});
+
+// Issue a CI token for a project's pipelines; the token is only returned in this response
+app.post('/project/:id/ci-tokens', authenticateToken, async (req, res) => {
+  try {
+    const token = await ciPipelineRecorder.createToken({ userId: req.user.id, projectId: req.params.id, label: req.body.label || null });
+    res.status(201).json(token);
+  } catch (error) {
+    handleEmissionError(res, error);
+  }
+});
+
+app.get('/project/:id/ci-tokens', authenticateToken, async (req, res) => {
+  try {
+    res.status(200).json(await ciPipelineRecorder.listTokens({ userId: req.user.id, projectId: req.params.id }));
+  } catch (error) {
+    handleEmissionError(res, error);
+  }
+});
+
+// Revoke a token; jobs it already reported stay in the ledger
+app.delete('/project/:id/ci-tokens/:tokenId', authenticateToken, async (req, res) => {
+  try {
+    await ciPipelineRecorder.revokeToken({ userId: req.user.id, projectId: req.params.id, tokenId: req.params.tokenId });
+    res.status(200).json({ message: 'Token revoked successfully' });
+  } catch (error) {
+    handleEmissionError(res, error);
+  }
+});
+
+// Middleware to authenticate CI pipelines by the project token they send in x-api-token
+const authenticateCiToken = async (req, res, next) => {
+  try {
+    req.ciToken = await ciPipelineRecorder.authenticate(req.get('x-api-token'));
+    next();
+  } catch (error) {
+    handleEmissionError(res, error);
+  }
+};
+
+// Record a CI job (runnerType, duration in seconds, region, pipelineId, jobId, optional commitSha, stage,
+// utilization and timestamps) against the token's project
+app.post('/ci/jobs', authenticateCiToken, async (req, res) => {
+  const { runnerType, duration, region, pipelineId, jobId, commitSha, stage, startedAt, endedAt } = req.body;
+
+  try {
+    const result = await ciPipelineRecorder.recordJob(req.ciToken, {
+      runnerType,
+      duration,
+      region,
+      pipelineId,
+      jobId,
+      commitSha,
+      stage,
+      utilization: parseUtilization(req.body.utilization),
+      startedAt,
+      endedAt
+    });
+    res.status(201).json({ message: 'CI job recorded successfully', ...result });
+  } catch (error) {
+    handleEmissionError(res, error);
+  }
+});
+
+// Check CPU watt usage for mobile or laptop
+app.get('/cpum_usage', (req, res) => {
+  const { model } = req.query;
+  const query = 'SELECT cpu_watts AS avg_watt_usage, idle_watts, peak_watts FROM cpusm WHERE model = ?';
+  
+  queryDatabase(query, [model], (err, results) => {
+    if (err) {
+      console.error('Error querying CPU database:', err);
+      return res.status(500).json({ error: 'Database error' });
+    }
+    
+    if (results.length > 0) {
+      const { avg_watt_usage, idle_watts, peak_watts } = results[0];
+      res.status(200).json({ avg_watt_usage, idle_watts, peak_watts });
+    } else {
+      res.status(404).json({ error: 'CPU not found' });
+    }
+  });
+});
+
+// Check GPU watt usage for mobile or laptop
+app.get('/gpum_usage', (req, res) => {
+  const { model } = req.query;
+  const query = 'SELECT gpu_watts AS avg_watt_usage, idle_watts, peak_watts FROM gpusm WHERE model = ?';
+  
+  queryDatabase(query, [model], (err, results) => {
+    if (err) {
+      console.error('Error querying GPU database:', err);
+      return res.status(500).json({ error: 'Database error' });
+    }
+    
+    if (results.length > 0) {
+      const { avg_watt_usage, idle_watts, peak_watts } = results[0];
+      res.status(200).json({ avg_watt_usage, idle_watts, peak_watts });
+    } else {
+      res.status(404).json({ error: 'GPU not found' });
+    }
+  });
+});
+
+// Check ram watt usage for mobile or laptop
+app.get('/ram_usage', (req, res) => {
+  const { model } = req.query;
+  const query = 'SELECT avg_watt_usage FROM ram WHERE ddr_generation = ?';
+  
+  queryDatabase(query, [model], (err, results) => {
+    if (err) {
+      console.error('Error querying CPU database:', err);
+      return res.status(500).json({ error: 'Database error' });
+    }
+    
+    if (results.length > 0) {
+      res.status(200).json({ avg_watt_usage: results[0].avg_watt_usage });
+    } else {
+      res.status(404).json({ error: 'CPU not found' });
+    }
+  });
 });
 
 // Endpoints to fetch available CPU and GPU options
@@ -1872,7 +2350,7 @@ app.get('/organization_projects', authenticateToken, (req, res) => {
   const { organization } = req.query;
 
   const query = `
-    SELECT uh.id, uh.project_name, uh.project_description, uh.session_duration, uh.carbon_emit, uh.status, uh.stage, u.name AS owner
+    SELECT uh.id, uh.project_name, uh.project_description, uh.session_duration, uh.carbon_emit, uh.embodied_emit, uh.network_emit, uh.emissions_low, uh.emissions_high, uh.energy_wh / 1000 AS energy_kwh, uh.measured_energy_wh / 1000 AS measured_energy_kwh, uh.energy_cost, uh.cost_currency, uh.status, uh.stage, u.name AS owner
     FROM user_history uh
     JOIN users u ON uh.user_id = u.id
     WHERE uh.organization = ?
@@ -1892,7 +2370,7 @@ app.get('/user_projects_only', authenticateToken, (req, res) => {
   const userId = req.user.id; // Get user ID from the authenticated token
 
   const query = `
-    SELECT id, project_name, project_description, session_duration, carbon_emit, status, stage
+    SELECT id, project_name, project_description, session_duration, carbon_emit, embodied_emit, network_emit, emissions_low, emissions_high, energy_wh / 1000 AS energy_kwh, measured_energy_wh / 1000 AS measured_energy_kwh, energy_cost, cost_currency, status, stage
     FROM user_history
     WHERE user_id = ?
   `;
@@ -2281,6 +2759,214 @@ app.get('/project/:id/members', authenticateToken, (req, res) => {
   });
 });
 
+// Get a project's recorded sessions from the emissions ledger, with optional filters and pagination
+app.get('/project/:id/sessions', authenticateToken, (req, res) => {
+  const projectId = req.params.id;
+  const userId = req.user.id;
+  const { userId: filterUserId, deviceId, source, from, to } = req.query;
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+  if ((from && isNaN(new Date(from).getTime())) || (to && isNaN(new Date(to).getTime()))) {
+    return res.status(400).json({ error: 'Invalid date format' });
+  }
+
+  // Check the user owns or is a member of the project
+  const accessQuery = `
+    SELECT id FROM user_history
+    WHERE id = ? AND (user_id = ? OR id IN (SELECT project_id FROM project_members WHERE user_id = ?))
+  `;
+
+  queryDatabase(accessQuery, [projectId, userId, userId], (err, accessResults) => {
+    if (err) {
+      console.error('Error checking project access:', err);
+      return res.status(500).json({ error: 'Database error' });
+    }
+
+    if (accessResults.length === 0) {
+      return res.status(404).json({ error: 'Project not found or no permission to view sessions' });
+    }
+
+    const conditions = ['es.project_id = ?'];
+    const params = [projectId];
+    if (filterUserId) {
+      conditions.push('es.user_id = ?');
+      params.push(filterUserId);
+    }
+    if (deviceId) {
+      conditions.push('es.device_id = ?');
+      params.push(deviceId);
+    }
+    if (source) {
+      conditions.push('es.source = ?');
+      params.push(source);
+    }
+    if (from) {
+      conditions.push('es.started_at >= ?');
+      params.push(new Date(from));
+    }
+    if (to) {
+      conditions.push('es.started_at <= ?');
+      params.push(new Date(to));
+    }
+    const whereClause = conditions.join(' AND ');
+
+    const countQuery = `SELECT COUNT(*) AS total FROM emission_sessions es WHERE ${whereClause}`;
+
+    queryDatabase(countQuery, params, (err, countResults) => {
+      if (err) {
+        console.error('Error counting project sessions:', err);
+        return res.status(500).json({ error: 'Database error' });
+      }
+
+      const sessionsQuery = `
+        SELECT 
+          es.id, es.user_id, u.name AS user_name, u.email AS user_email,
+          es.device_id, es.device_snapshot, es.source, es.region, es.sub_grid,
+          es.session_duration, es.cpu_utilization, es.gpu_utilization, es.cpu_watts, es.gpu_watts, es.ram_watts,
+          es.motherboard_watts, es.storage_watts, es.display_watts, es.psu_watts, es.total_watts,
+          es.energy_wh, es.energy_wh / 1000 AS energy_kwh,
+          es.carbon_factor_id, es.carbon_factor, es.carbon_factor_region, es.carbon_emit, es.embodied_emit,
+          es.bytes_transferred, es.network_energy_wh, es.network_emit, es.emissions_low, es.emissions_high,
+          es.tariff_id, es.energy_cost, es.cost_currency, es.intensity_source,
+          es.energy_source, es.meter, es.measured_energy_wh, es.started_at, es.ended_at, es.recorded_at
+        FROM emission_sessions es
+        LEFT JOIN users u ON es.user_id = u.id
+        WHERE ${whereClause}
+        ORDER BY es.started_at DESC, es.id DESC
+        LIMIT ? OFFSET ?
+      `;
+
+      queryDatabase(sessionsQuery, [...params, limit, (page - 1) * limit], (err, sessions) => {
+        if (err) {
+          console.error('Error fetching project sessions:', err);
+          return res.status(500).json({ error: 'Database error' });
+        }
+
+        const total = countResults[0].total;
+        res.status(200).json({
+          sessions,
+          pagination: {
+            page,
+            limit,
+            total,
+            totalPages: Math.ceil(total / limit)
+          }
+        });
+      });
+    });
+  });
+});
+
+// Get a project's emissions grouped by ledger source (desktop, mobile, cloud, ...), with network
+// transfer and embodied carbon attributed separately from the operational figures, and how much
+// of the energy was measured rather than estimated
+app.get('/project/:id/emission_breakdown', authenticateToken, async (req, res) => {
+  const projectId = req.params.id;
+
+  try {
+    await emissionEngine.assertProjectAccess(projectId, req.user.id);
+
+    const sources = await queryDatabaseAsync(`
+      SELECT 
+        source,
+        COUNT(*) AS session_count,
+        COALESCE(SUM(session_duration), 0) AS session_duration,
+        COALESCE(SUM(energy_wh), 0) AS energy_wh,
+        COALESCE(SUM(measured_energy_wh), 0) AS measured_energy_wh,
+        SUM(energy_source = 'measured') AS measured_sessions,
+        SUM(energy_source = 'mixed') AS mixed_sessions,
+        COALESCE(SUM(carbon_emit), 0) AS carbon_emit,
+        COALESCE(SUM(embodied_emit), 0) AS embodied_emit,
+        COALESCE(SUM(bytes_transferred), 0) AS bytes_transferred,
+        COALESCE(SUM(network_energy_wh), 0) AS network_energy_wh,
+        COALESCE(SUM(network_emit), 0) AS network_emit,
+        COALESCE(SUM(emissions_low), 0) AS emissions_low,
+        COALESCE(SUM(emissions_high), 0) AS emissions_high
+      FROM emission_sessions
+      WHERE project_id = ?
+      GROUP BY source
+      ORDER BY carbon_emit DESC
+    `, [projectId]);
+
+    const costs = groupEnergyCosts(await queryDatabaseAsync(`
+      SELECT source, cost_currency, SUM(energy_cost) AS energy_cost
+      FROM emission_sessions
+      WHERE project_id = ? AND cost_currency IS NOT NULL
+      GROUP BY source, cost_currency
+    `, [projectId]), 'source');
+    sources.forEach(row => {
+      row.energy_kwh = Number(row.energy_wh) / 1000;
+      row.energy_costs = costs.get(row.source) || {};
+    });
+
+    // Emissions attributed to project stages (CI jobs); other sessions are grouped under a null stage
+    const stages = await queryDatabaseAsync(`
+      SELECT
+        stage,
+        COUNT(*) AS session_count,
+        COALESCE(SUM(session_duration), 0) AS session_duration,
+        COALESCE(SUM(energy_wh), 0) / 1000 AS energy_kwh,
+        COALESCE(SUM(carbon_emit), 0) AS carbon_emit,
+        COALESCE(SUM(embodied_emit), 0) AS embodied_emit,
+        COALESCE(SUM(network_emit), 0) AS network_emit,
+        COALESCE(SUM(emissions_low), 0) AS emissions_low,
+        COALESCE(SUM(emissions_high), 0) AS emissions_high
+      FROM emission_sessions
+      WHERE project_id = ?
+      GROUP BY stage
+      ORDER BY carbon_emit DESC
+    `, [projectId]);
+
+    const totals = sources.reduce((sum, row) => ({
+      energy_wh: sum.energy_wh + Number(row.energy_wh),
+      measured_energy_wh: sum.measured_energy_wh + Number(row.measured_energy_wh),
+      measured_sessions: sum.measured_sessions + Number(row.measured_sessions),
+      mixed_sessions: sum.mixed_sessions + Number(row.mixed_sessions),
+      carbon_emit: sum.carbon_emit + Number(row.carbon_emit),
+      embodied_emit: sum.embodied_emit + Number(row.embodied_emit),
+      bytes_transferred: sum.bytes_transferred + Number(row.bytes_transferred),
+      network_energy_wh: sum.network_energy_wh + Number(row.network_energy_wh),
+      network_emit: sum.network_emit + Number(row.network_emit),
+      emissions_low: sum.emissions_low + Number(row.emissions_low),
+      emissions_high: sum.emissions_high + Number(row.emissions_high)
+    }), {
+      energy_wh: 0, measured_energy_wh: 0, measured_sessions: 0, mixed_sessions: 0,
+      carbon_emit: 0, embodied_emit: 0, bytes_transferred: 0, network_energy_wh: 0, network_emit: 0,
+      emissions_low: 0, emissions_high: 0
+    });
+
+    // Per-currency cost totals across every source
+    const energyCosts = sources.reduce((sum, row) => {
+      Object.keys(row.energy_costs).forEach(currency => {
+        sum[currency] = (sum[currency] || 0) + row.energy_costs[currency];
+      });
+      return sum;
+    }, {});
+
+    const totalEmit = totals.carbon_emit + totals.embodied_emit + totals.network_emit;
+    // ?equivalences=true adds the project total expressed in everyday equivalences
+    const equivalences = req.query.equivalences === 'true'
+      ? (await equivalenceCalculator.convert(totalEmit, parseEquivalenceKeys(req.query.equivalenceKeys))).equivalences
+      : undefined;
+
+    res.status(200).json({
+      projectId: Number(projectId),
+      sources,
+      stages,
+      totals: {
+        ...totals,
+        total_emit: totalEmit,
+        energy_kwh: totals.energy_wh / 1000,
+        energy_costs: energyCosts
+      },
+      equivalences
+    });
+  } catch (error) {
+    handleEmissionError(res, error);
+  }
+});
+
 app.get('/user_project_display_combined', authenticateToken, (req, res) => {
   const userId = req.user.id;
 
@@ -2325,6 +3011,14 @@ app.get('/user_project_display_combined', authenticateToken, (req, res) => {
         uh.project_description,
         uh.session_duration, 
         uh.carbon_emit, 
+        uh.embodied_emit,
+        uh.network_emit,
+        uh.emissions_low,
+        uh.emissions_high,
+        uh.energy_wh / 1000 AS energy_kwh,
+        uh.measured_energy_wh / 1000 AS measured_energy_kwh,
+        uh.energy_cost,
+        uh.cost_currency,
         uh.status,
         uh.stage_duration, 
         uh.stage_start_date, 
@@ -2409,24 +3103,68 @@ app.get('/carbon-emissions', authenticateToken, (req, res) => {
 // Endpoint to add a new device
 app.post('/addDevice', authenticateToken, (req, res) => {
   const userId = req.user.id;
-  const { device, cpu, gpu, ram, capacity, motherboard, psu } = req.body;
+  const { device, cpu, gpu, ram, capacity, motherboard, psu, psu_tier, embodied_kgco2e, lifetime_years } = req.body;
 
   if (!device || !cpu || !gpu || !ram || !capacity || !motherboard || !psu) {
     return res.status(400).json({ error: 'All fields are required' });
   }
 
+  if (psu_tier && !isPsuTier(psu_tier)) {
+    return res.status(400).json({ error: `psu_tier must be one of: ${Object.keys(PSU_EFFICIENCY_CURVES).join(', ')}` });
+  }
+
+  // Optional storage drives and displays attached to the device, e.g. [{ type: 'display', model, quantity: 2 }]
+  let peripherals;
+  try {
+    peripherals = normalizePeripherals(req.body.peripherals);
+  } catch (error) {
+    return res.status(error.status).json({ error: error.message });
+  }
+
   const query = `
-    INSERT INTO user_devices (user_id, device, cpu, gpu, ram, capacity, motherboard, psu)
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    INSERT INTO user_devices (user_id, device, cpu, gpu, ram, capacity, motherboard, psu, psu_tier, embodied_kgco2e, lifetime_years)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
   `;
 
-  queryDatabase(query, [userId, device, cpu, gpu, ram, capacity, motherboard, psu], (err, results) => {
+  executeTransaction((err, conn) => {
     if (err) {
-      console.error('Error inserting data into the user_devices table:', err);
-      return res.status(500).json({ error: 'Database error' });
+      console.error('Error starting transaction:', err);
+      return res.status(500).json({ error: 'Transaction initiation failed' });
     }
 
-    res.status(200).json({ message: 'Device added successfully' });
+    queryDatabase(query, [userId, device, cpu, gpu, ram, capacity, motherboard, psu, psu_tier || null, embodied_kgco2e ?? null, lifetime_years ?? null], (err, results) => {
+      if (err) {
+        console.error('Error inserting data into the user_devices table:', err);
+        return conn.rollback(() => res.status(500).json({ error: 'Database error' }));
+      }
+
+      const deviceId = results.insertId;
+      const insertPeripherals = (callback) => {
+        if (peripherals.length === 0) {
+          return callback(null);
+        }
+        queryDatabase(
+          'INSERT INTO device_peripherals (device_id, peripheral_type, model, quantity) VALUES ?',
+          [peripherals.map(peripheral => [deviceId, peripheral.type, peripheral.model, peripheral.quantity])],
+          callback
+        );
+      };
+
+      insertPeripherals((err) => {
+        if (err) {
+          console.error('Error inserting device peripherals:', err);
+          return conn.rollback(() => res.status(500).json({ error: 'Database error' }));
+        }
+
+        conn.commit((err) => {
+          if (err) {
+            console.error('Error committing transaction:', err);
+            return conn.rollback(() => res.status(500).json({ error: 'Transaction commit failed' }));
+          }
+          res.status(200).json({ message: 'Device added successfully', deviceId });
+        });
+      });
+    });
   });
 });
 
@@ -2456,7 +3194,7 @@ app.get('/user_devices', authenticateToken, (req, res) => {
   const userId = req.user.id;
 
   const query = `
-    SELECT id, device, cpu, gpu, ram, capacity, motherboard, psu
+    SELECT id, device, cpu, gpu, ram, capacity, motherboard, psu, psu_tier, embodied_kgco2e, lifetime_years
     FROM user_devices
     WHERE user_id = ?
   `;
@@ -2480,7 +3218,31 @@ app.get('/user_devices', authenticateToken, (req, res) => {
       }
 
       const currentDeviceId = deviceResults.length > 0 ? deviceResults[0].current_device_id : null;
-      res.status(200).json({ devices: results, currentDeviceId });
+      if (results.length === 0) {
+        return res.status(200).json({ devices: results, currentDeviceId });
+      }
+
+      const peripheralsQuery = `
+        SELECT device_id, peripheral_type AS type, model, quantity
+        FROM device_peripherals
+        WHERE device_id IN (?)
+        ORDER BY id
+      `;
+
+      queryDatabase(peripheralsQuery, [results.map(device => device.id)], (err, peripherals) => {
+        if (err) {
+          console.error('Error querying the database:', err);
+          return res.status(500).json({ error: 'Database error' });
+        }
+
+        const devices = results.map(device => ({
+          ...device,
+          peripherals: peripherals
+            .filter(peripheral => peripheral.device_id === device.id)
+            .map(({ type, model, quantity }) => ({ type, model, quantity }))
+        }));
+        res.status(200).json({ devices, currentDeviceId });
+      });
     });
   });
 });
@@ -2497,6 +3259,14 @@ app.get('/all_user_projects_admin', authenticateAdmin, (req, res) => {
       uh.project_description, 
       uh.session_duration, 
       uh.carbon_emit, 
+      uh.embodied_emit,
+      uh.network_emit,
+      uh.emissions_low,
+      uh.emissions_high,
+      uh.energy_wh / 1000 AS energy_kwh,
+      uh.measured_energy_wh / 1000 AS measured_energy_kwh,
+      uh.energy_cost,
+      uh.cost_currency,
       uh.stage, 
       uh.status, 
       uh.created_at,
@@ -2910,31 +3680,44 @@ app.delete('/admin/delete_project/:id', authenticateAdmin, (req, res) => {
               });
             }
 
-            // 3. Finally delete the project
-            queryDatabase(
-              `DELETE FROM user_history WHERE id = ?`,
-              [projectId],
-              (err, projectResults) => {
+            // 3. Delete recorded emission sessions
+            deleteSessionRecords(
+              'project_id',
+              projectId,
+              (err) => {
                 if (err) {
                   return connection.rollback(() => {
-                    res.status(500).json({ error: 'Error deleting project' });
+                    res.status(500).json({ error: 'Error deleting emission sessions' });
                   });
                 }
 
-                // Commit the transaction
-                connection.commit(err => {
-                  if (err) {
-                    return connection.rollback(() => {
-                      res.status(500).json({ error: 'Transaction commit error' });
+                // 4. Finally delete the project
+                queryDatabase(
+                  `DELETE FROM user_history WHERE id = ?`,
+                  [projectId],
+                  (err, projectResults) => {
+                    if (err) {
+                      return connection.rollback(() => {
+                        res.status(500).json({ error: 'Error deleting project' });
+                      });
+                    }
+
+                    // Commit the transaction
+                    connection.commit(err => {
+                      if (err) {
+                        return connection.rollback(() => {
+                          res.status(500).json({ error: 'Transaction commit error' });
+                        });
+                      }
+
+                      if (projectResults.affectedRows > 0) {
+                        res.status(200).json({ message: 'Project deleted successfully' });
+                      } else {
+                        res.status(404).json({ error: 'Project not found' });
+                      }
                     });
                   }
-
-                  if (projectResults.affectedRows > 0) {
-                    res.status(200).json({ message: 'Project deleted successfully' });
-                  } else {
-                    res.status(404).json({ error: 'Project not found' });
-                  }
-                });
+                );
               }
             );
           }
@@ -2948,17 +3731,39 @@ app.delete('/admin/delete_project/:id', authenticateAdmin, (req, res) => {
 app.get('/emission_data', authenticateAdmin, (req, res) => {
   const viewBy = req.query.viewBy || 'organization';
 
+  // Operational (location-based), embodied and network emissions per user, with the low/high bounds of their
+  // sum, and the energy drawn (and how much of it was measured rather than estimated). Energy costs and
+  // market-based totals are worked out from the ledger below.
+  const totals = `
+    SUM(uh.carbon_emit) AS total_carbon_emit,
+    SUM(uh.embodied_emit) AS total_embodied_emit,
+    SUM(uh.network_emit) AS total_network_emit,
+    SUM(uh.emissions_low) AS total_emissions_low,
+    SUM(uh.emissions_high) AS total_emissions_high,
+    SUM(uh.energy_wh) / 1000 AS total_energy_kwh,
+    SUM(uh.measured_energy_wh) / 1000 AS total_measured_energy_kwh
+  `;
+
+  const costsQuery = `
+    SELECT u.email AS user, es.cost_currency, SUM(es.energy_cost) AS energy_cost
+    FROM emission_sessions es
+    JOIN user_history uh ON es.project_id = uh.id
+    JOIN users u ON uh.user_id = u.id
+    WHERE es.cost_currency IS NOT NULL
+    GROUP BY u.email, es.cost_currency
+  `;
+
   let query;
   if (viewBy === 'individual') {
     query = `
-      SELECT u.name, u.email AS user, u.organization, SUM(uh.carbon_emit) AS total_carbon_emit
+      SELECT u.name, u.email AS user, u.organization, ${totals}
       FROM user_history uh
       JOIN users u ON uh.user_id = u.id
       GROUP BY u.name, u.email, u.organization
     `;
   } else {
     query = `
-      SELECT u.organization, u.name, u.email AS user, SUM(uh.carbon_emit) AS total_carbon_emit
+      SELECT u.organization, u.name, u.email AS user, ${totals}
       FROM user_history uh
       JOIN users u ON uh.user_id = u.id
       GROUP BY u.organization, u.name, u.email
@@ -2971,38 +3776,91 @@ app.get('/emission_data', authenticateAdmin, (req, res) => {
       return res.status(500).json({ error: 'Database error' });
     }
 
-    res.status(200).json({ emissionData: results });
+    queryDatabase(costsQuery, (err, costRows) => {
+      if (err) {
+        console.error('Error querying the database:', err);
+        return res.status(500).json({ error: 'Database error' });
+      }
+
+      const costs = groupEnergyCosts(costRows, 'user');
+
+      // Market-based operational emissions: the location-based total less what each project owner's sessions
+      // save under their organizations' certificates and supplier factors
+      marketAccounting.computeMarketEmissions().then(({ results: marketResults }) => {
+        const savings = marketResults.reduce((byOwner, result) => byOwner.set(
+          result.session.owner_email,
+          (byOwner.get(result.session.owner_email) || 0) + result.locationEmissions - result.marketEmissions
+        ), new Map());
+
+        const emissionData = results.map(row => ({
+          ...row,
+          total_market_carbon_emit: Number(row.total_carbon_emit) - (savings.get(row.user) || 0),
+          total_energy_costs: costs.get(row.user) || {}
+        }));
+        res.status(200).json({ emissionData });
+      }, (err) => {
+        console.error('Error computing market-based emissions:', err);
+        res.status(500).json({ error: 'Database error' });
+      });
+    });
   });
 });
 
-// Endpoint to delete a user by ID (admin only)
+// Endpoint to delete a user by ID (admin only). The projects the user owns go with them, ledger included; the
+// totals of other projects the user recorded sessions on are derived again without those sessions.
 app.delete('/delete_user/:id', authenticateAdmin, (req, res) => {
   const userId = req.params.id;
 
-  connection.beginTransaction(err => {
+  executeTransaction(async (err, conn) => {
     if (err) {
       return res.status(500).json({ error: 'Transaction initiation failed' });
     }
-    queryDatabase("DELETE FROM user_devices WHERE user_id = ?", [userId], (err, result) => {
-      if (err) {
-        return connection.rollback(() => res.status(500).json({ error: 'Failed to delete user devices' }));
+
+    let step = 'Failed to delete user devices';
+    try {
+      const affected = await queryDatabaseAsync('SELECT DISTINCT project_id FROM emission_sessions WHERE user_id = ?', [userId]);
+      const owned = (await queryDatabaseAsync('SELECT id FROM user_history WHERE user_id = ?', [userId])).map(project => project.id);
+
+      // Remove the user's devices together with their attached peripherals
+      await queryDatabaseAsync(`
+        DELETE ud, dp
+        FROM user_devices ud
+        LEFT JOIN device_peripherals dp ON dp.device_id = ud.id
+        WHERE ud.user_id = ?
+      `, [userId]);
+
+      step = 'Failed to delete emission sessions';
+      for (const projectId of owned) {
+        await queryDatabaseAsync('DELETE FROM notifications WHERE project_id = ?', [projectId]);
+        await queryDatabaseAsync('DELETE FROM project_members WHERE project_id = ?', [projectId]);
+        await new Promise((resolve, reject) => deleteSessionRecords('project_id', projectId, err => (err ? reject(err) : resolve())));
       }
-      queryDatabase("DELETE FROM user_history WHERE user_id = ?", [userId], (err, result) => {
-        if (err) {
-          return connection.rollback(() => res.status(500).json({ error: 'Failed to delete user history' }));
+      await new Promise((resolve, reject) => deleteSessionRecords(
+        'user_id', userId, err => (err ? reject(err) : resolve()), [...SESSION_TABLES, 'idempotency_keys', 'editor_tokens']
+      ));
+
+      step = 'Failed to delete user history';
+      await queryDatabaseAsync('DELETE FROM user_history WHERE user_id = ?', [userId]);
+      for (const { project_id: projectId } of affected) {
+        if (!owned.includes(projectId)) {
+          await emissionEngine.refreshProjectTotals(projectId);
         }
-        queryDatabase("DELETE FROM users WHERE id = ?", [userId], (err, result) => {
-          if (err) {
-            return connection.rollback(() => res.status(500).json({ error: 'Failed to delete user' }));
-          }
-          connection.commit(err => {
-            if (err) {
-              return connection.rollback(() => res.status(500).json({ error: 'Transaction commit failed' }));
-            }
-            res.status(200).json({ message: 'User and related projects deleted successfully' });
-          });
-        });
+      }
+
+      step = 'Failed to delete user';
+      await queryDatabaseAsync('DELETE FROM users WHERE id = ?', [userId]);
+    } catch (err) {
+      return conn.rollback(() => {
+        console.error('Error deleting user:', err);
+        res.status(500).json({ error: step });
       });
+    }
+
+    conn.commit(err => {
+      if (err) {
+        return conn.rollback(() => res.status(500).json({ error: 'Transaction commit failed' }));
+      }
+      res.status(200).json({ message: 'User and related projects deleted successfully' });
     });
   });
 });
@@ -3030,6 +3888,23 @@ app.get('/project_members/:projectId', authenticateAdmin, (req, res) => {
 
 // Device Maintenance Admin Endpoints
 
+// Check an optional uncertainty_pct is a percentage between 0 and 100
+const validateUncertaintyPct = (uncertaintyPct) =>
+  uncertaintyPct == null || (!isNaN(Number(uncertaintyPct)) && Number(uncertaintyPct) >= 0 && Number(uncertaintyPct) <= 100);
+
+// Validate an optional utilization curve, returning an error message or null. Either end may be left out;
+// when both are given the idle draw can't exceed the peak.
+const validateWattageCurve = ({ idle_watts, peak_watts }) => {
+  const invalid = (watts) => watts != null && (isNaN(Number(watts)) || Number(watts) < 0);
+  if (invalid(idle_watts) || invalid(peak_watts)) {
+    return 'idle_watts and peak_watts must be non-negative numbers';
+  }
+  if (idle_watts != null && peak_watts != null && Number(idle_watts) > Number(peak_watts)) {
+    return 'idle_watts must not exceed peak_watts';
+  }
+  return null;
+};
+
 // Desktop CPUs endpoints
 app.get('/admin/cpus', authenticateAdmin, (req, res) => {
   const query = 'SELECT * FROM cpus ORDER BY manufacturer, series, model';
@@ -3044,14 +3919,22 @@ app.get('/admin/cpus', authenticateAdmin, (req, res) => {
 });
 
 app.post('/admin/cpus', authenticateAdmin, (req, res) => {
-  const { manufacturer, series, model, generation, avg_watt_usage } = req.body;
+  const { manufacturer, series, model, generation, avg_watt_usage, idle_watts, peak_watts, embodied_kgco2e, lifetime_years, uncertainty_pct } = req.body;
+
+  if (!validateUncertaintyPct(uncertainty_pct)) {
+    return res.status(400).json({ error: 'uncertainty_pct must be a percentage between 0 and 100' });
+  }
+  const curveError = validateWattageCurve(req.body);
+  if (curveError) {
+    return res.status(400).json({ error: curveError });
+  }
   
   const query = `
-    INSERT INTO cpus (manufacturer, series, model, generation, avg_watt_usage)
-    VALUES (?, ?, ?, ?, ?)
+    INSERT INTO cpus (manufacturer, series, model, generation, avg_watt_usage, idle_watts, peak_watts, embodied_kgco2e, lifetime_years, uncertainty_pct)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
   `;
   
-  queryDatabase(query, [manufacturer, series, model, generation, avg_watt_usage], (err, results) => {
+  queryDatabase(query, [manufacturer, series, model, generation, avg_watt_usage, idle_watts ?? null, peak_watts ?? null, embodied_kgco2e ?? null, lifetime_years ?? null, uncertainty_pct ?? null], (err, results) => {
     if (err) {
       console.error('Error adding CPU:', err);
       return res.status(500).json({ error: 'Failed to add CPU' });
@@ -3060,17 +3943,27 @@ app.post('/admin/cpus', authenticateAdmin, (req, res) => {
   });
 });
 
+// Catalog columns added after the admin UI was built (the utilization curve, embodied carbon, uncertainty) keep
+// their stored value when an edit leaves them out or sends null, so an edit can change them but not clear them
 app.put('/admin/cpus/:id', authenticateAdmin, (req, res) => {
   const cpuId = req.params.id;
-  const { manufacturer, series, model, generation, avg_watt_usage } = req.body;
+  const { manufacturer, series, model, generation, avg_watt_usage, idle_watts, peak_watts, embodied_kgco2e, lifetime_years, uncertainty_pct } = req.body;
+
+  if (!validateUncertaintyPct(uncertainty_pct)) {
+    return res.status(400).json({ error: 'uncertainty_pct must be a percentage between 0 and 100' });
+  }
+  const curveError = validateWattageCurve(req.body);
+  if (curveError) {
+    return res.status(400).json({ error: curveError });
+  }
   
   const query = `
     UPDATE cpus 
-    SET manufacturer = ?, series = ?, model = ?, generation = ?, avg_watt_usage = ?
+    SET manufacturer = ?, series = ?, model = ?, generation = ?, avg_watt_usage = ?, idle_watts = COALESCE(?, idle_watts), peak_watts = COALESCE(?, peak_watts), embodied_kgco2e = COALESCE(?, embodied_kgco2e), lifetime_years = COALESCE(?, lifetime_years), uncertainty_pct = COALESCE(?, uncertainty_pct)
     WHERE id = ?
   `;
   
-  queryDatabase(query, [manufacturer, series, model, generation, avg_watt_usage, cpuId], (err, results) => {
+  queryDatabase(query, [manufacturer, series, model, generation, avg_watt_usage, idle_watts ?? null, peak_watts ?? null, embodied_kgco2e ?? null, lifetime_years ?? null, uncertainty_pct ?? null, cpuId], (err, results) => {
     if (err) {
       console.error('Error updating CPU:', err);
       return res.status(500).json({ error: 'Failed to update CPU' });
@@ -3107,14 +4000,22 @@ app.get('/admin/cpus-mobile', authenticateAdmin, (req, res) => {
 });
 
 app.post('/admin/cpus-mobile', authenticateAdmin, (req, res) => {
-  const { generation, model, cpu_watts } = req.body;
+  const { generation, model, cpu_watts, idle_watts, peak_watts, embodied_kgco2e, lifetime_years, uncertainty_pct } = req.body;
+
+  if (!validateUncertaintyPct(uncertainty_pct)) {
+    return res.status(400).json({ error: 'uncertainty_pct must be a percentage between 0 and 100' });
+  }
+  const curveError = validateWattageCurve(req.body);
+  if (curveError) {
+    return res.status(400).json({ error: curveError });
+  }
   
   const query = `
-    INSERT INTO cpusm (generation, model, cpu_watts)
-    VALUES (?, ?, ?)
+    INSERT INTO cpusm (generation, model, cpu_watts, idle_watts, peak_watts, embodied_kgco2e, lifetime_years, uncertainty_pct)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
   `;
   
-  queryDatabase(query, [generation, model, cpu_watts], (err, results) => {
+  queryDatabase(query, [generation, model, cpu_watts, idle_watts ?? null, peak_watts ?? null, embodied_kgco2e ?? null, lifetime_years ?? null, uncertainty_pct ?? null], (err, results) => {
     if (err) {
       console.error('Error adding mobile CPU:', err);
       return res.status(500).json({ error: 'Failed to add mobile CPU' });
@@ -3125,15 +4026,23 @@ app.post('/admin/cpus-mobile', authenticateAdmin, (req, res) => {
 
 app.put('/admin/cpus-mobile/:id', authenticateAdmin, (req, res) => {
   const cpuId = req.params.id;
-  const { generation, model, cpu_watts } = req.body;
+  const { generation, model, cpu_watts, idle_watts, peak_watts, embodied_kgco2e, lifetime_years, uncertainty_pct } = req.body;
+
+  if (!validateUncertaintyPct(uncertainty_pct)) {
+    return res.status(400).json({ error: 'uncertainty_pct must be a percentage between 0 and 100' });
+  }
+  const curveError = validateWattageCurve(req.body);
+  if (curveError) {
+    return res.status(400).json({ error: curveError });
+  }
   
   const query = `
     UPDATE cpusm 
-    SET generation = ?, model = ?, cpu_watts = ?
+    SET generation = ?, model = ?, cpu_watts = ?, idle_watts = COALESCE(?, idle_watts), peak_watts = COALESCE(?, peak_watts), embodied_kgco2e = COALESCE(?, embodied_kgco2e), lifetime_years = COALESCE(?, lifetime_years), uncertainty_pct = COALESCE(?, uncertainty_pct)
     WHERE id = ?
   `;
   
-  queryDatabase(query, [generation, model, cpu_watts, cpuId], (err, results) => {
+  queryDatabase(query, [generation, model, cpu_watts, idle_watts ?? null, peak_watts ?? null, embodied_kgco2e ?? null, lifetime_years ?? null, uncertainty_pct ?? null, cpuId], (err, results) => {
     if (err) {
       console.error('Error updating mobile CPU:', err);
       return res.status(500).json({ error: 'Failed to update mobile CPU' });
@@ -3170,14 +4079,22 @@ app.get('/admin/gpus', authenticateAdmin, (req, res) => {
 });
 
 app.post('/admin/gpus', authenticateAdmin, (req, res) => {
-  const { manufacturer, series, model, generation, avg_watt_usage } = req.body;
+  const { manufacturer, series, model, generation, avg_watt_usage, idle_watts, peak_watts, embodied_kgco2e, lifetime_years, uncertainty_pct } = req.body;
+
+  if (!validateUncertaintyPct(uncertainty_pct)) {
+    return res.status(400).json({ error: 'uncertainty_pct must be a percentage between 0 and 100' });
+  }
+  const curveError = validateWattageCurve(req.body);
+  if (curveError) {
+    return res.status(400).json({ error: curveError });
+  }
   
   const query = `
-    INSERT INTO gpus (manufacturer, series, model, generation, avg_watt_usage)
-    VALUES (?, ?, ?, ?, ?)
+    INSERT INTO gpus (manufacturer, series, model, generation, avg_watt_usage, idle_watts, peak_watts, embodied_kgco2e, lifetime_years, uncertainty_pct)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
   `;
   
-  queryDatabase(query, [manufacturer, series, model, generation, avg_watt_usage], (err, results) => {
+  queryDatabase(query, [manufacturer, series, model, generation, avg_watt_usage, idle_watts ?? null, peak_watts ?? null, embodied_kgco2e ?? null, lifetime_years ?? null, uncertainty_pct ?? null], (err, results) => {
     if (err) {
       console.error('Error adding GPU:', err);
       return res.status(500).json({ error: 'Failed to add GPU' });
@@ -3188,15 +4105,23 @@ app.post('/admin/gpus', authenticateAdmin, (req, res) => {
 
 app.put('/admin/gpus/:id', authenticateAdmin, (req, res) => {
   const gpuId = req.params.id;
-  const { manufacturer, series, model, generation, avg_watt_usage } = req.body;
+  const { manufacturer, series, model, generation, avg_watt_usage, idle_watts, peak_watts, embodied_kgco2e, lifetime_years, uncertainty_pct } = req.body;
+
+  if (!validateUncertaintyPct(uncertainty_pct)) {
+    return res.status(400).json({ error: 'uncertainty_pct must be a percentage between 0 and 100' });
+  }
+  const curveError = validateWattageCurve(req.body);
+  if (curveError) {
+    return res.status(400).json({ error: curveError });
+  }
   
   const query = `
     UPDATE gpus 
-    SET manufacturer = ?, series = ?, model = ?, generation = ?, avg_watt_usage = ?
+    SET manufacturer = ?, series = ?, model = ?, generation = ?, avg_watt_usage = ?, idle_watts = COALESCE(?, idle_watts), peak_watts = COALESCE(?, peak_watts), embodied_kgco2e = COALESCE(?, embodied_kgco2e), lifetime_years = COALESCE(?, lifetime_years), uncertainty_pct = COALESCE(?, uncertainty_pct)
     WHERE id = ?
   `;
   
-  queryDatabase(query, [manufacturer, series, model, generation, avg_watt_usage, gpuId], (err, results) => {
+  queryDatabase(query, [manufacturer, series, model, generation, avg_watt_usage, idle_watts ?? null, peak_watts ?? null, embodied_kgco2e ?? null, lifetime_years ?? null, uncertainty_pct ?? null, gpuId], (err, results) => {
     if (err) {
       console.error('Error updating GPU:', err);
       return res.status(500).json({ error: 'Failed to update GPU' });
@@ -3233,14 +4158,22 @@ app.get('/admin/gpus-mobile', authenticateAdmin, (req, res) => {
 });
 
 app.post('/admin/gpus-mobile', authenticateAdmin, (req, res) => {
-  const { manufacturer, model, gpu_watts } = req.body;
+  const { manufacturer, model, gpu_watts, idle_watts, peak_watts, embodied_kgco2e, lifetime_years, uncertainty_pct } = req.body;
+
+  if (!validateUncertaintyPct(uncertainty_pct)) {
+    return res.status(400).json({ error: 'uncertainty_pct must be a percentage between 0 and 100' });
+  }
+  const curveError = validateWattageCurve(req.body);
+  if (curveError) {
+    return res.status(400).json({ error: curveError });
+  }
   
   const query = `
-    INSERT INTO gpusm (manufacturer, model, gpu_watts)
-    VALUES (?, ?, ?)
+    INSERT INTO gpusm (manufacturer, model, gpu_watts, idle_watts, peak_watts, embodied_kgco2e, lifetime_years, uncertainty_pct)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
   `;
   
-  queryDatabase(query, [manufacturer, model, gpu_watts], (err, results) => {
+  queryDatabase(query, [manufacturer, model, gpu_watts, idle_watts ?? null, peak_watts ?? null, embodied_kgco2e ?? null, lifetime_years ?? null, uncertainty_pct ?? null], (err, results) => {
     if (err) {
       console.error('Error adding mobile GPU:', err);
       return res.status(500).json({ error: 'Failed to add mobile GPU' });
@@ -3251,15 +4184,23 @@ app.post('/admin/gpus-mobile', authenticateAdmin, (req, res) => {
 
 app.put('/admin/gpus-mobile/:id', authenticateAdmin, (req, res) => {
   const gpuId = req.params.id;
-  const { manufacturer, model, gpu_watts } = req.body;
+  const { manufacturer, model, gpu_watts, idle_watts, peak_watts, embodied_kgco2e, lifetime_years, uncertainty_pct } = req.body;
+
+  if (!validateUncertaintyPct(uncertainty_pct)) {
+    return res.status(400).json({ error: 'uncertainty_pct must be a percentage between 0 and 100' });
+  }
+  const curveError = validateWattageCurve(req.body);
+  if (curveError) {
+    return res.status(400).json({ error: curveError });
+  }
   
   const query = `
     UPDATE gpusm 
-    SET manufacturer = ?, model = ?, gpu_watts = ?
+    SET manufacturer = ?, model = ?, gpu_watts = ?, idle_watts = COALESCE(?, idle_watts), peak_watts = COALESCE(?, peak_watts), embodied_kgco2e = COALESCE(?, embodied_kgco2e), lifetime_years = COALESCE(?, lifetime_years), uncertainty_pct = COALESCE(?, uncertainty_pct)
     WHERE id = ?
   `;
   
-  queryDatabase(query, [manufacturer, model, gpu_watts, gpuId], (err, results) => {
+  queryDatabase(query, [manufacturer, model, gpu_watts, idle_watts ?? null, peak_watts ?? null, embodied_kgco2e ?? null, lifetime_years ?? null, uncertainty_pct ?? null, gpuId], (err, results) => {
     if (err) {
       console.error('Error updating mobile GPU:', err);
       return res.status(500).json({ error: 'Failed to update mobile GPU' });
@@ -3296,14 +4237,18 @@ app.get('/admin/rams', authenticateAdmin, (req, res) => {
 });
 
 app.post('/admin/rams', authenticateAdmin, (req, res) => {
-  const { ddr_generation, voltage, avg_watt_usage } = req.body;
+  const { ddr_generation, voltage, avg_watt_usage, embodied_kgco2e, lifetime_years, uncertainty_pct } = req.body;
+
+  if (!validateUncertaintyPct(uncertainty_pct)) {
+    return res.status(400).json({ error: 'uncertainty_pct must be a percentage between 0 and 100' });
+  }
   
   const query = `
-    INSERT INTO ram (ddr_generation, voltage, avg_watt_usage)
-    VALUES (?, ?, ?)
+    INSERT INTO ram (ddr_generation, voltage, avg_watt_usage, embodied_kgco2e, lifetime_years, uncertainty_pct)
+    VALUES (?, ?, ?, ?, ?, ?)
   `;
   
-  queryDatabase(query, [ddr_generation, voltage, avg_watt_usage], (err, results) => {
+  queryDatabase(query, [ddr_generation, voltage, avg_watt_usage, embodied_kgco2e ?? null, lifetime_years ?? null, uncertainty_pct ?? null], (err, results) => {
     if (err) {
       console.error('Error adding RAM:', err);
       return res.status(500).json({ error: 'Failed to add RAM' });
@@ -3314,15 +4259,19 @@ app.post('/admin/rams', authenticateAdmin, (req, res) => {
 
 app.put('/admin/rams/:id', authenticateAdmin, (req, res) => {
   const ramId = req.params.id;
-  const { ddr_generation, voltage, avg_watt_usage } = req.body;
+  const { ddr_generation, voltage, avg_watt_usage, embodied_kgco2e, lifetime_years, uncertainty_pct } = req.body;
+
+  if (!validateUncertaintyPct(uncertainty_pct)) {
+    return res.status(400).json({ error: 'uncertainty_pct must be a percentage between 0 and 100' });
+  }
   
   const query = `
     UPDATE ram 
-    SET ddr_generation = ?, voltage = ?, avg_watt_usage = ?
+    SET ddr_generation = ?, voltage = ?, avg_watt_usage = ?, embodied_kgco2e = COALESCE(?, embodied_kgco2e), lifetime_years = COALESCE(?, lifetime_years), uncertainty_pct = COALESCE(?, uncertainty_pct)
     WHERE id = ?
   `;
   
-  queryDatabase(query, [ddr_generation, voltage, avg_watt_usage, ramId], (err, results) => {
+  queryDatabase(query, [ddr_generation, voltage, avg_watt_usage, embodied_kgco2e ?? null, lifetime_years ?? null, uncertainty_pct ?? null, ramId], (err, results) => {
     if (err) {
       console.error('Error updating RAM:', err);
       return res.status(500).json({ error: 'Failed to update RAM' });
@@ -3345,91 +4294,1454 @@ app.delete('/admin/rams/:id', authenticateAdmin, (req, res) => {
   });
 });
 
-// Endpoints to fetch device maintenance data
-app.get('/admin/device-maintenance', authenticateAdmin, (req, res) => {
+// Motherboards endpoints
+app.get('/admin/motherboards', authenticateAdmin, (req, res) => {
+  const query = 'SELECT * FROM motherboards ORDER BY manufacturer, model';
+  
+  queryDatabase(query, (err, results) => {
+    if (err) {
+      console.error('Error fetching motherboards:', err);
+      return res.status(500).json({ error: 'Failed to fetch motherboards' });
+    }
+    res.json(results);
+  });
+});
+
+app.post('/admin/motherboards', authenticateAdmin, (req, res) => {
+  const { manufacturer, model, form_factor, avg_watt_usage, embodied_kgco2e, lifetime_years, uncertainty_pct } = req.body;
+
+  if (!validateUncertaintyPct(uncertainty_pct)) {
+    return res.status(400).json({ error: 'uncertainty_pct must be a percentage between 0 and 100' });
+  }
+  
   const query = `
-    SELECT 
-      ud.id, ud.device, ud.cpu, ud.gpu, ud.ram, ud.capacity, ud.motherboard, ud.psu,
-      u.name as user_name, u.email as user_email, u.organization
-    FROM user_devices ud
-    JOIN users u ON ud.user_id = u.id
-    ORDER BY u.organization, u.name
+    INSERT INTO motherboards (manufacturer, model, form_factor, avg_watt_usage, embodied_kgco2e, lifetime_years, uncertainty_pct)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `;
+  
+  queryDatabase(query, [manufacturer, model, form_factor, avg_watt_usage, embodied_kgco2e ?? null, lifetime_years ?? null, uncertainty_pct ?? null], (err, results) => {
+    if (err) {
+      console.error('Error adding motherboard:', err);
+      return res.status(500).json({ error: 'Failed to add motherboard' });
+    }
+    res.json({ message: 'Motherboard added successfully', id: results.insertId });
+  });
+});
+
+app.put('/admin/motherboards/:id', authenticateAdmin, (req, res) => {
+  const motherboardId = req.params.id;
+  const { manufacturer, model, form_factor, avg_watt_usage, embodied_kgco2e, lifetime_years, uncertainty_pct } = req.body;
+
+  if (!validateUncertaintyPct(uncertainty_pct)) {
+    return res.status(400).json({ error: 'uncertainty_pct must be a percentage between 0 and 100' });
+  }
+  
+  const query = `
+    UPDATE motherboards 
+    SET manufacturer = ?, model = ?, form_factor = ?, avg_watt_usage = ?, embodied_kgco2e = COALESCE(?, embodied_kgco2e), lifetime_years = COALESCE(?, lifetime_years), uncertainty_pct = COALESCE(?, uncertainty_pct)
+    WHERE id = ?
   `;
+  
+  queryDatabase(query, [manufacturer, model, form_factor, avg_watt_usage, embodied_kgco2e ?? null, lifetime_years ?? null, uncertainty_pct ?? null, motherboardId], (err, results) => {
+    if (err) {
+      console.error('Error updating motherboard:', err);
+      return res.status(500).json({ error: 'Failed to update motherboard' });
+    }
+    res.json({ message: 'Motherboard updated successfully' });
+  });
+});
 
+app.delete('/admin/motherboards/:id', authenticateAdmin, (req, res) => {
+  const motherboardId = req.params.id;
+  
+  const query = 'DELETE FROM motherboards WHERE id = ?';
+  
+  queryDatabase(query, [motherboardId], (err, results) => {
+    if (err) {
+      console.error('Error deleting motherboard:', err);
+      return res.status(500).json({ error: 'Failed to delete motherboard' });
+    }
+    res.json({ message: 'Motherboard deleted successfully' });
+  });
+});
+
+// Storage drives endpoints
+app.get('/admin/storage-drives', authenticateAdmin, (req, res) => {
+  const query = 'SELECT * FROM storage_drives ORDER BY drive_type, model';
+  
   queryDatabase(query, (err, results) => {
     if (err) {
-      console.error('Error fetching device maintenance data:', err);
-      return res.status(500).json({ error: 'Database error' });
+      console.error('Error fetching storage drives:', err);
+      return res.status(500).json({ error: 'Failed to fetch storage drives' });
     }
+    res.json(results);
+  });
+});
 
-    res.status(200).json({ devices: results });
+app.post('/admin/storage-drives', authenticateAdmin, (req, res) => {
+  const { manufacturer, model, drive_type, capacity_gb, avg_watt_usage, embodied_kgco2e, lifetime_years, uncertainty_pct } = req.body;
+
+  if (!validateUncertaintyPct(uncertainty_pct)) {
+    return res.status(400).json({ error: 'uncertainty_pct must be a percentage between 0 and 100' });
+  }
+  
+  const query = `
+    INSERT INTO storage_drives (manufacturer, model, drive_type, capacity_gb, avg_watt_usage, embodied_kgco2e, lifetime_years, uncertainty_pct)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `;
+  
+  queryDatabase(query, [manufacturer, model, drive_type, capacity_gb, avg_watt_usage, embodied_kgco2e ?? null, lifetime_years ?? null, uncertainty_pct ?? null], (err, results) => {
+    if (err) {
+      console.error('Error adding storage drive:', err);
+      return res.status(500).json({ error: 'Failed to add storage drive' });
+    }
+    res.json({ message: 'Storage drive added successfully', id: results.insertId });
   });
 });
 
-// Endpoint to get device details by ID
-app.get('/admin/device-maintenance/:id', authenticateAdmin, (req, res) => {
-  const deviceId = req.params.id;
+app.put('/admin/storage-drives/:id', authenticateAdmin, (req, res) => {
+  const driveId = req.params.id;
+  const { manufacturer, model, drive_type, capacity_gb, avg_watt_usage, embodied_kgco2e, lifetime_years, uncertainty_pct } = req.body;
 
+  if (!validateUncertaintyPct(uncertainty_pct)) {
+    return res.status(400).json({ error: 'uncertainty_pct must be a percentage between 0 and 100' });
+  }
+  
   const query = `
-    SELECT 
-      ud.id, ud.device, ud.cpu, ud.gpu, ud.ram, ud.capacity, ud.motherboard, ud.psu,
-      u.name as user_name, u.email as user_email, u.organization
-    FROM user_devices ud
-    JOIN users u ON ud.user_id = u.id
-    WHERE ud.id = ?
+    UPDATE storage_drives 
+    SET manufacturer = ?, model = ?, drive_type = ?, capacity_gb = ?, avg_watt_usage = ?, embodied_kgco2e = COALESCE(?, embodied_kgco2e), lifetime_years = COALESCE(?, lifetime_years), uncertainty_pct = COALESCE(?, uncertainty_pct)
+    WHERE id = ?
   `;
+  
+  queryDatabase(query, [manufacturer, model, drive_type, capacity_gb, avg_watt_usage, embodied_kgco2e ?? null, lifetime_years ?? null, uncertainty_pct ?? null, driveId], (err, results) => {
+    if (err) {
+      console.error('Error updating storage drive:', err);
+      return res.status(500).json({ error: 'Failed to update storage drive' });
+    }
+    res.json({ message: 'Storage drive updated successfully' });
+  });
+});
 
-  queryDatabase(query, [deviceId], (err, results) => {
+app.delete('/admin/storage-drives/:id', authenticateAdmin, (req, res) => {
+  const driveId = req.params.id;
+  
+  const query = 'DELETE FROM storage_drives WHERE id = ?';
+  
+  queryDatabase(query, [driveId], (err, results) => {
     if (err) {
-      console.error('Error fetching device details:', err);
-      return res.status(500).json({ error: 'Database error' });
+      console.error('Error deleting storage drive:', err);
+      return res.status(500).json({ error: 'Failed to delete storage drive' });
     }
+    res.json({ message: 'Storage drive deleted successfully' });
+  });
+});
 
-    if (results.length === 0) {
-      return res.status(404).json({ error: 'Device not found' });
+// Displays endpoints
+app.get('/admin/displays', authenticateAdmin, (req, res) => {
+  const query = 'SELECT * FROM displays ORDER BY size_inches, model';
+  
+  queryDatabase(query, (err, results) => {
+    if (err) {
+      console.error('Error fetching displays:', err);
+      return res.status(500).json({ error: 'Failed to fetch displays' });
     }
+    res.json(results);
+  });
+});
 
-    res.status(200).json({ device: results[0] });
+app.post('/admin/displays', authenticateAdmin, (req, res) => {
+  const { manufacturer, model, size_inches, panel_type, avg_watt_usage, embodied_kgco2e, lifetime_years, uncertainty_pct } = req.body;
+
+  if (!validateUncertaintyPct(uncertainty_pct)) {
+    return res.status(400).json({ error: 'uncertainty_pct must be a percentage between 0 and 100' });
+  }
+  
+  const query = `
+    INSERT INTO displays (manufacturer, model, size_inches, panel_type, avg_watt_usage, embodied_kgco2e, lifetime_years, uncertainty_pct)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `;
+  
+  queryDatabase(query, [manufacturer, model, size_inches, panel_type, avg_watt_usage, embodied_kgco2e ?? null, lifetime_years ?? null, uncertainty_pct ?? null], (err, results) => {
+    if (err) {
+      console.error('Error adding display:', err);
+      return res.status(500).json({ error: 'Failed to add display' });
+    }
+    res.json({ message: 'Display added successfully', id: results.insertId });
   });
 });
 
-// Endpoint to update device details
-app.put('/admin/device-maintenance/:id', authenticateAdmin, (req, res) => {
-  const deviceId = req.params.id;
-  const { device, cpu, gpu, ram, capacity, motherboard, psu } = req.body;
+app.put('/admin/displays/:id', authenticateAdmin, (req, res) => {
+  const displayId = req.params.id;
+  const { manufacturer, model, size_inches, panel_type, avg_watt_usage, embodied_kgco2e, lifetime_years, uncertainty_pct } = req.body;
 
+  if (!validateUncertaintyPct(uncertainty_pct)) {
+    return res.status(400).json({ error: 'uncertainty_pct must be a percentage between 0 and 100' });
+  }
+  
   const query = `
-    UPDATE user_devices
-    SET device = ?, cpu = ?, gpu = ?, ram = ?, capacity = ?, motherboard = ?, psu = ?
+    UPDATE displays 
+    SET manufacturer = ?, model = ?, size_inches = ?, panel_type = ?, avg_watt_usage = ?, embodied_kgco2e = COALESCE(?, embodied_kgco2e), lifetime_years = COALESCE(?, lifetime_years), uncertainty_pct = COALESCE(?, uncertainty_pct)
     WHERE id = ?
   `;
+  
+  queryDatabase(query, [manufacturer, model, size_inches, panel_type, avg_watt_usage, embodied_kgco2e ?? null, lifetime_years ?? null, uncertainty_pct ?? null, displayId], (err, results) => {
+    if (err) {
+      console.error('Error updating display:', err);
+      return res.status(500).json({ error: 'Failed to update display' });
+    }
+    res.json({ message: 'Display updated successfully' });
+  });
+});
 
-  queryDatabase(query, [device, cpu, gpu, ram, capacity, motherboard, psu, deviceId], (err, results) => {
+app.delete('/admin/displays/:id', authenticateAdmin, (req, res) => {
+  const displayId = req.params.id;
+  
+  const query = 'DELETE FROM displays WHERE id = ?';
+  
+  queryDatabase(query, [displayId], (err, results) => {
     if (err) {
-      console.error('Error updating device details:', err);
-      return res.status(500).json({ error: 'Database error' });
+      console.error('Error deleting display:', err);
+      return res.status(500).json({ error: 'Failed to delete display' });
     }
+    res.json({ message: 'Display deleted successfully' });
+  });
+});
 
-    res.status(200).json({ message: 'Device details updated successfully' });
+// Carbon factor endpoints
+// Validate a carbon factor payload, returning an error message or null
+const validateCarbonFactor = ({ region, factor, uncertainty_pct, effective_from, effective_to }) => {
+  if (!region || factor === undefined || isNaN(Number(factor)) || Number(factor) < 0) {
+    return 'Region and a non-negative factor are required';
+  }
+  if (!effective_from || isNaN(new Date(effective_from).getTime())) {
+    return 'A valid effective_from date is required';
+  }
+  if (effective_to && (isNaN(new Date(effective_to).getTime()) || toDateString(effective_to) < toDateString(effective_from))) {
+    return 'effective_to must be a valid date on or after effective_from';
+  }
+  if (!validateUncertaintyPct(uncertainty_pct)) {
+    return 'uncertainty_pct must be a percentage between 0 and 100';
+  }
+  return null;
+};
+
+app.get('/admin/carbon-factors', authenticateAdmin, (req, res) => {
+  const query = `SELECT ${CARBON_FACTOR_COLUMNS} FROM carbon_factors ORDER BY country, region, sub_grid, effective_from DESC`;
+  
+  queryDatabase(query, (err, results) => {
+    if (err) {
+      console.error('Error fetching carbon factors:', err);
+      return res.status(500).json({ error: 'Failed to fetch carbon factors' });
+    }
+    res.json(results);
   });
 });
 
-// Endpoint to delete a device
-app.delete('/admin/device-maintenance/:id', authenticateAdmin, (req, res) => {
-  const deviceId = req.params.id;
+app.post('/admin/carbon-factors', authenticateAdmin, (req, res) => {
+  const { region, country, sub_grid, factor, uncertainty_pct, source, effective_from, effective_to } = req.body;
 
+  const validationError = validateCarbonFactor(req.body);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+  
   const query = `
-    DELETE FROM user_devices
+    INSERT INTO carbon_factors (region, country, sub_grid, factor, uncertainty_pct, source, effective_from, effective_to)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `;
+  
+  queryDatabase(query, [
+    region, country || null, sub_grid || null, factor, uncertainty_pct ?? null, source || null,
+    toDateString(effective_from), effective_to ? toDateString(effective_to) : null
+  ], (err, results) => {
+    if (err) {
+      if (err.code === 'ER_DUP_ENTRY') {
+        return res.status(409).json({ error: 'A carbon factor version already exists for this region and date' });
+      }
+      console.error('Error adding carbon factor:', err);
+      return res.status(500).json({ error: 'Failed to add carbon factor' });
+    }
+    res.json({ message: 'Carbon factor added successfully', id: results.insertId });
+  });
+});
+
+app.put('/admin/carbon-factors/:id', authenticateAdmin, (req, res) => {
+  const factorId = req.params.id;
+  const { region, country, sub_grid, factor, uncertainty_pct, source, effective_from, effective_to } = req.body;
+
+  const validationError = validateCarbonFactor(req.body);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+  
+  // uncertainty_pct keeps its stored value when an edit leaves it out
+  const query = `
+    UPDATE carbon_factors 
+    SET region = ?, country = ?, sub_grid = ?, factor = ?, uncertainty_pct = COALESCE(?, uncertainty_pct), source = ?, effective_from = ?, effective_to = ?
     WHERE id = ?
   `;
+  
+  queryDatabase(query, [
+    region, country || null, sub_grid || null, factor, uncertainty_pct ?? null, source || null,
+    toDateString(effective_from), effective_to ? toDateString(effective_to) : null, factorId
+  ], (err, results) => {
+    if (err) {
+      if (err.code === 'ER_DUP_ENTRY') {
+        return res.status(409).json({ error: 'A carbon factor version already exists for this region and date' });
+      }
+      console.error('Error updating carbon factor:', err);
+      return res.status(500).json({ error: 'Failed to update carbon factor' });
+    }
 
-  queryDatabase(query, [deviceId], (err, results) => {
+    if (results.affectedRows === 0) {
+      return res.status(404).json({ error: 'Carbon factor not found' });
+    }
+    res.json({ message: 'Carbon factor updated successfully' });
+  });
+});
+
+app.delete('/admin/carbon-factors/:id', authenticateAdmin, (req, res) => {
+  const factorId = req.params.id;
+  
+  const query = 'DELETE FROM carbon_factors WHERE id = ?';
+  
+  queryDatabase(query, [factorId], (err, results) => {
     if (err) {
-      console.error('Error deleting device:', err);
-      return res.status(500).json({ error: 'Database error' });
+      console.error('Error deleting carbon factor:', err);
+      return res.status(500).json({ error: 'Failed to delete carbon factor' });
+    }
+
+    if (results.affectedRows === 0) {
+      return res.status(404).json({ error: 'Carbon factor not found' });
+    }
+    res.json({ message: 'Carbon factor deleted successfully' });
+  });
+});
+
+// Network energy factor endpoints: kWh per GB transferred, versioned by effective date
+const validateNetworkEnergyFactor = ({ kwh_per_gb, uncertainty_pct, effective_from }) => {
+  if (kwh_per_gb === undefined || isNaN(Number(kwh_per_gb)) || Number(kwh_per_gb) < 0) {
+    return 'A non-negative kwh_per_gb is required';
+  }
+  if (!effective_from || isNaN(new Date(effective_from).getTime())) {
+    return 'A valid effective_from date is required';
+  }
+  if (!validateUncertaintyPct(uncertainty_pct)) {
+    return 'uncertainty_pct must be a percentage between 0 and 100';
+  }
+  return null;
+};
+
+app.get('/admin/network-energy-factors', authenticateAdmin, (req, res) => {
+  const query = `
+    SELECT id, kwh_per_gb, uncertainty_pct, source, DATE_FORMAT(effective_from, '%Y-%m-%d') AS effective_from
+    FROM network_energy_factors
+    ORDER BY effective_from DESC
+  `;
+  
+  queryDatabase(query, (err, results) => {
+    if (err) {
+      console.error('Error fetching network energy factors:', err);
+      return res.status(500).json({ error: 'Failed to fetch network energy factors' });
     }
+    res.json(results);
+  });
+});
+
+app.post('/admin/network-energy-factors', authenticateAdmin, (req, res) => {
+  const { kwh_per_gb, uncertainty_pct, source, effective_from } = req.body;
 
-    res.status(200).json({ message: 'Device deleted successfully' });
+  const validationError = validateNetworkEnergyFactor(req.body);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+  
+  const query = `
+    INSERT INTO network_energy_factors (kwh_per_gb, uncertainty_pct, source, effective_from)
+    VALUES (?, ?, ?, ?)
+  `;
+  
+  queryDatabase(query, [kwh_per_gb, uncertainty_pct ?? null, source || null, toDateString(effective_from)], (err, results) => {
+    if (err) {
+      if (err.code === 'ER_DUP_ENTRY') {
+        return res.status(409).json({ error: 'A network energy factor already exists for this date' });
+      }
+      console.error('Error adding network energy factor:', err);
+      return res.status(500).json({ error: 'Failed to add network energy factor' });
+    }
+    res.json({ message: 'Network energy factor added successfully', id: results.insertId });
+  });
+});
+
+app.put('/admin/network-energy-factors/:id', authenticateAdmin, (req, res) => {
+  const factorId = req.params.id;
+  const { kwh_per_gb, uncertainty_pct, source, effective_from } = req.body;
+
+  const validationError = validateNetworkEnergyFactor(req.body);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+  
+  // uncertainty_pct keeps its stored value when an edit leaves it out
+  const query = `
+    UPDATE network_energy_factors 
+    SET kwh_per_gb = ?, uncertainty_pct = COALESCE(?, uncertainty_pct), source = ?, effective_from = ?
+    WHERE id = ?
+  `;
+  
+  queryDatabase(query, [kwh_per_gb, uncertainty_pct ?? null, source || null, toDateString(effective_from), factorId], (err, results) => {
+    if (err) {
+      if (err.code === 'ER_DUP_ENTRY') {
+        return res.status(409).json({ error: 'A network energy factor already exists for this date' });
+      }
+      console.error('Error updating network energy factor:', err);
+      return res.status(500).json({ error: 'Failed to update network energy factor' });
+    }
+
+    if (results.affectedRows === 0) {
+      return res.status(404).json({ error: 'Network energy factor not found' });
+    }
+    res.json({ message: 'Network energy factor updated successfully' });
+  });
+});
+
+app.delete('/admin/network-energy-factors/:id', authenticateAdmin, (req, res) => {
+  const factorId = req.params.id;
+  
+  const query = 'DELETE FROM network_energy_factors WHERE id = ?';
+  
+  queryDatabase(query, [factorId], (err, results) => {
+    if (err) {
+      console.error('Error deleting network energy factor:', err);
+      return res.status(500).json({ error: 'Failed to delete network energy factor' });
+    }
+
+    if (results.affectedRows === 0) {
+      return res.status(404).json({ error: 'Network energy factor not found' });
+    }
+    res.json({ message: 'Network energy factor deleted successfully' });
+  });
+});
+
+// Carbon intensity profile endpoints: 24 hourly factors (kgCO2e/kWh) per region in the region's local time,
+// for every month (month 0) or overriding a single month (1-12)
+const validateIntensityProfile = ({ month, timezone, hours }) => {
+  if (month != null && (!Number.isInteger(Number(month)) || Number(month) < 0 || Number(month) > 12)) {
+    return 'month must be 0 (every month) or 1-12';
+  }
+  if (!timezone || !isValidTimezone(timezone)) {
+    return 'A valid IANA timezone is required';
+  }
+  if (!Array.isArray(hours) || hours.length !== 24 || hours.some(factor => factor === null || isNaN(Number(factor)) || Number(factor) < 0)) {
+    return 'hours must list 24 non-negative factors, starting at midnight';
+  }
+  return null;
+};
+
+app.get('/admin/carbon-intensity-profiles', authenticateAdmin, (req, res) => {
+  const query = 'SELECT region, month, hour, factor, timezone, source FROM carbon_intensity_profiles ORDER BY region, month, hour';
+  
+  queryDatabase(query, (err, results) => {
+    if (err) {
+      console.error('Error fetching carbon intensity profiles:', err);
+      return res.status(500).json({ error: 'Failed to fetch carbon intensity profiles' });
+    }
+
+    // One entry per region and month, with its hourly factors in order
+    const profiles = [];
+    results.forEach(row => {
+      let profile = profiles[profiles.length - 1];
+      if (!profile || profile.region !== row.region || profile.month !== row.month) {
+        profile = { region: row.region, month: row.month, timezone: row.timezone, source: row.source, hours: [] };
+        profiles.push(profile);
+      }
+      profile.hours[row.hour] = row.factor;
+    });
+    res.json(profiles);
+  });
+});
+
+// Replace a region's profile for one month (or every month) with the 24 hourly factors given
+app.put('/admin/carbon-intensity-profiles/:region', authenticateAdmin, (req, res) => {
+  const region = req.params.region;
+  const { timezone, source, hours } = req.body;
+  const month = Number(req.body.month) || 0;
+
+  const validationError = validateIntensityProfile(req.body);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  executeTransaction(async (err, conn) => {
+    if (err) {
+      console.error('Error starting transaction:', err);
+      return res.status(500).json({ error: 'Transaction error' });
+    }
+
+    try {
+      await queryDatabaseAsync('DELETE FROM carbon_intensity_profiles WHERE region = ? AND month = ?', [region, month]);
+      await queryDatabaseAsync(
+        'INSERT INTO carbon_intensity_profiles (region, month, hour, factor, timezone, source) VALUES ?',
+        [hours.map((factor, hour) => [region, month, hour, Number(factor), timezone, source || null])]
+      );
+      // A region's months share one local time zone
+      await queryDatabaseAsync('UPDATE carbon_intensity_profiles SET timezone = ? WHERE region = ?', [timezone, region]);
+    } catch (err) {
+      return conn.rollback(() => {
+        console.error('Error saving carbon intensity profile:', err);
+        res.status(500).json({ error: 'Failed to save carbon intensity profile' });
+      });
+    }
+
+    conn.commit(err => {
+      if (err) {
+        return conn.rollback(() => {
+          console.error('Error committing transaction:', err);
+          res.status(500).json({ error: 'Failed to commit transaction' });
+        });
+      }
+
+      if (intensityProvider && intensityProvider.invalidate) {
+        intensityProvider.invalidate();
+      }
+      res.json({ message: 'Carbon intensity profile saved successfully', region, month });
+    });
+  });
+});
+
+// Delete a region's profile for one month (?month=1-12, or 0 for the every-month values), or all of it
+app.delete('/admin/carbon-intensity-profiles/:region', authenticateAdmin, (req, res) => {
+  const region = req.params.region;
+
+  let query = 'DELETE FROM carbon_intensity_profiles WHERE region = ?';
+  const params = [region];
+  if (req.query.month !== undefined) {
+    query += ' AND month = ?';
+    params.push(Number(req.query.month) || 0);
+  }
+  
+  queryDatabase(query, params, (err, results) => {
+    if (err) {
+      console.error('Error deleting carbon intensity profile:', err);
+      return res.status(500).json({ error: 'Failed to delete carbon intensity profile' });
+    }
+
+    if (results.affectedRows === 0) {
+      return res.status(404).json({ error: 'Carbon intensity profile not found' });
+    }
+    if (intensityProvider && intensityProvider.invalidate) {
+      intensityProvider.invalidate();
+    }
+    res.json({ message: 'Carbon intensity profile deleted successfully' });
+  });
+});
+
+// Market instrument endpoints: renewable energy certificates (volume_mwh) and supplier-specific emission
+// factors (supplier_factor, kgCO2e/kWh) an organization holds for a period, optionally limited to one region
+const validateMarketInstrument = ({ organization, instrument_type, supplier_factor, volume_mwh, period_start, period_end }) => {
+  if (!organization || !MARKET_INSTRUMENT_TYPES.includes(instrument_type)) {
+    return `organization and an instrument_type of ${MARKET_INSTRUMENT_TYPES.join(' or ')} are required`;
+  }
+  if (instrument_type === 'rec' && (volume_mwh === undefined || isNaN(Number(volume_mwh)) || Number(volume_mwh) <= 0)) {
+    return 'Certificates require a positive volume_mwh';
+  }
+  if (instrument_type === 'supplier_factor' && (supplier_factor === undefined || isNaN(Number(supplier_factor)) || Number(supplier_factor) < 0)) {
+    return 'Supplier factors require a non-negative supplier_factor';
+  }
+  if (!period_start || !period_end || isNaN(new Date(period_start).getTime()) || isNaN(new Date(period_end).getTime())) {
+    return 'Valid period_start and period_end dates are required';
+  }
+  if (toDateString(period_end) < toDateString(period_start)) {
+    return 'period_end must be on or after period_start';
+  }
+  return null;
+};
+
+// Column values for a validated instrument; only the field matching its type is kept
+const marketInstrumentValues = ({ organization, instrument_type, region, supplier_factor, volume_mwh, certificate_reference, period_start, period_end }) => [
+  organization,
+  instrument_type,
+  region || null,
+  instrument_type === 'supplier_factor' ? Number(supplier_factor) : null,
+  instrument_type === 'rec' ? Number(volume_mwh) : null,
+  certificate_reference || null,
+  toDateString(period_start),
+  toDateString(period_end)
+];
+
+app.get('/admin/market-instruments', authenticateAdmin, async (req, res) => {
+  try {
+    const instruments = await marketAccounting.getInstruments(req.query.organization || null);
+    res.json(instruments);
+  } catch (err) {
+    console.error('Error fetching market instruments:', err);
+    res.status(500).json({ error: 'Failed to fetch market instruments' });
+  }
+});
+
+app.post('/admin/market-instruments', authenticateAdmin, (req, res) => {
+  const validationError = validateMarketInstrument(req.body);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+  
+  const query = `
+    INSERT INTO market_instruments (
+      organization, instrument_type, region, supplier_factor, volume_mwh, certificate_reference, period_start, period_end
+    )
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `;
+  
+  queryDatabase(query, marketInstrumentValues(req.body), (err, results) => {
+    if (err) {
+      console.error('Error adding market instrument:', err);
+      return res.status(500).json({ error: 'Failed to add market instrument' });
+    }
+    res.json({ message: 'Market instrument added successfully', id: results.insertId });
+  });
+});
+
+app.put('/admin/market-instruments/:id', authenticateAdmin, (req, res) => {
+  const instrumentId = req.params.id;
+
+  const validationError = validateMarketInstrument(req.body);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+  
+  const query = `
+    UPDATE market_instruments 
+    SET organization = ?, instrument_type = ?, region = ?, supplier_factor = ?, volume_mwh = ?, certificate_reference = ?,
+        period_start = ?, period_end = ?
+    WHERE id = ?
+  `;
+  
+  queryDatabase(query, [...marketInstrumentValues(req.body), instrumentId], (err, results) => {
+    if (err) {
+      console.error('Error updating market instrument:', err);
+      return res.status(500).json({ error: 'Failed to update market instrument' });
+    }
+
+    if (results.affectedRows === 0) {
+      return res.status(404).json({ error: 'Market instrument not found' });
+    }
+    res.json({ message: 'Market instrument updated successfully' });
+  });
+});
+
+app.delete('/admin/market-instruments/:id', authenticateAdmin, (req, res) => {
+  const instrumentId = req.params.id;
+  
+  const query = 'DELETE FROM market_instruments WHERE id = ?';
+  
+  queryDatabase(query, [instrumentId], (err, results) => {
+    if (err) {
+      console.error('Error deleting market instrument:', err);
+      return res.status(500).json({ error: 'Failed to delete market instrument' });
+    }
+
+    if (results.affectedRows === 0) {
+      return res.status(404).json({ error: 'Market instrument not found' });
+    }
+    res.json({ message: 'Market instrument deleted successfully' });
+  });
+});
+
+// Location- and market-based operational emissions side by side, per organization, for sessions started
+// between from and to (both optional), with how much of each certificate was used
+app.get('/admin/market-based-report', authenticateAdmin, async (req, res) => {
+  const { organization, from, to } = req.query;
+
+  if ((from && isNaN(new Date(from).getTime())) || (to && isNaN(new Date(to).getTime()))) {
+    return res.status(400).json({ error: 'from and to must be valid dates' });
+  }
+  if (from && to && toDateString(to) < toDateString(from)) {
+    return res.status(400).json({ error: 'to must be on or after from' });
+  }
+
+  try {
+    const report = await marketAccounting.report({
+      organization: organization || null,
+      from: from ? toDateString(from) : null,
+      to: to ? toDateString(to) : null
+    });
+    res.status(200).json(report);
+  } catch (err) {
+    console.error('Error building market-based report:', err);
+    res.status(500).json({ error: 'Failed to build market-based report' });
+  }
+});
+
+// Electricity tariff endpoints: price per kWh for a region in its currency, versioned by effective date
+const validateElectricityTariff = ({ region, currency, price_per_kwh, effective_from }) => {
+  if (!region || !currency || !/^[A-Za-z]{3}$/.test(currency)) {
+    return 'Region and a three-letter ISO 4217 currency code are required';
+  }
+  if (price_per_kwh === undefined || isNaN(Number(price_per_kwh)) || Number(price_per_kwh) < 0) {
+    return 'A non-negative price_per_kwh is required';
+  }
+  if (!effective_from || isNaN(new Date(effective_from).getTime())) {
+    return 'A valid effective_from date is required';
+  }
+  return null;
+};
+
+app.get('/admin/electricity-tariffs', authenticateAdmin, (req, res) => {
+  const query = `
+    SELECT id, region, currency, price_per_kwh, source, DATE_FORMAT(effective_from, '%Y-%m-%d') AS effective_from
+    FROM electricity_tariffs
+    ORDER BY region, effective_from DESC
+  `;
+  
+  queryDatabase(query, (err, results) => {
+    if (err) {
+      console.error('Error fetching electricity tariffs:', err);
+      return res.status(500).json({ error: 'Failed to fetch electricity tariffs' });
+    }
+    res.json(results);
+  });
+});
+
+app.post('/admin/electricity-tariffs', authenticateAdmin, (req, res) => {
+  const { region, currency, price_per_kwh, source, effective_from } = req.body;
+
+  const validationError = validateElectricityTariff(req.body);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+  
+  const query = `
+    INSERT INTO electricity_tariffs (region, currency, price_per_kwh, source, effective_from)
+    VALUES (?, ?, ?, ?, ?)
+  `;
+  
+  queryDatabase(query, [region, currency.toUpperCase(), price_per_kwh, source || null, toDateString(effective_from)], (err, results) => {
+    if (err) {
+      if (err.code === 'ER_DUP_ENTRY') {
+        return res.status(409).json({ error: 'An electricity tariff already exists for this region and date' });
+      }
+      console.error('Error adding electricity tariff:', err);
+      return res.status(500).json({ error: 'Failed to add electricity tariff' });
+    }
+    res.json({ message: 'Electricity tariff added successfully', id: results.insertId });
+  });
+});
+
+app.put('/admin/electricity-tariffs/:id', authenticateAdmin, (req, res) => {
+  const tariffId = req.params.id;
+  const { region, currency, price_per_kwh, source, effective_from } = req.body;
+
+  const validationError = validateElectricityTariff(req.body);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+  
+  const query = `
+    UPDATE electricity_tariffs 
+    SET region = ?, currency = ?, price_per_kwh = ?, source = ?, effective_from = ?
+    WHERE id = ?
+  `;
+  
+  queryDatabase(query, [region, currency.toUpperCase(), price_per_kwh, source || null, toDateString(effective_from), tariffId], (err, results) => {
+    if (err) {
+      if (err.code === 'ER_DUP_ENTRY') {
+        return res.status(409).json({ error: 'An electricity tariff already exists for this region and date' });
+      }
+      console.error('Error updating electricity tariff:', err);
+      return res.status(500).json({ error: 'Failed to update electricity tariff' });
+    }
+
+    if (results.affectedRows === 0) {
+      return res.status(404).json({ error: 'Electricity tariff not found' });
+    }
+    res.json({ message: 'Electricity tariff updated successfully' });
+  });
+});
+
+app.delete('/admin/electricity-tariffs/:id', authenticateAdmin, (req, res) => {
+  const tariffId = req.params.id;
+  
+  const query = 'DELETE FROM electricity_tariffs WHERE id = ?';
+  
+  queryDatabase(query, [tariffId], (err, results) => {
+    if (err) {
+      console.error('Error deleting electricity tariff:', err);
+      return res.status(500).json({ error: 'Failed to delete electricity tariff' });
+    }
+
+    if (results.affectedRows === 0) {
+      return res.status(404).json({ error: 'Electricity tariff not found' });
+    }
+    res.json({ message: 'Electricity tariff deleted successfully' });
+  });
+});
+
+// Emission equivalence endpoints: how many grams of CO2e one unit (km driven, phone charge, ...) stands for
+const validateEquivalence = ({ equivalence_key, label, unit, grams_per_unit, display_order }) => {
+  if (!equivalence_key || !/^[a-z0-9_]+$/.test(equivalence_key)) {
+    return 'equivalence_key is required and may only contain lowercase letters, digits and underscores';
+  }
+  if (!label || !unit) {
+    return 'label and unit are required';
+  }
+  if (grams_per_unit === undefined || isNaN(Number(grams_per_unit)) || Number(grams_per_unit) <= 0) {
+    return 'A positive grams_per_unit is required';
+  }
+  if (display_order != null && !Number.isInteger(Number(display_order))) {
+    return 'display_order must be a whole number';
+  }
+  return null;
+};
+
+app.get('/admin/equivalences', authenticateAdmin, (req, res) => {
+  const query = 'SELECT * FROM emission_equivalences ORDER BY display_order, id';
+  
+  queryDatabase(query, (err, results) => {
+    if (err) {
+      console.error('Error fetching emission equivalences:', err);
+      return res.status(500).json({ error: 'Failed to fetch emission equivalences' });
+    }
+    res.json(results);
+  });
+});
+
+app.post('/admin/equivalences', authenticateAdmin, (req, res) => {
+  const { equivalence_key, label, unit, grams_per_unit, source, display_order } = req.body;
+
+  const validationError = validateEquivalence(req.body);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+  
+  const query = `
+    INSERT INTO emission_equivalences (equivalence_key, label, unit, grams_per_unit, source, display_order)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `;
+  
+  queryDatabase(query, [equivalence_key, label, unit, grams_per_unit, source || null, display_order ?? 0], (err, results) => {
+    if (err) {
+      if (err.code === 'ER_DUP_ENTRY') {
+        return res.status(409).json({ error: 'An equivalence with this key already exists' });
+      }
+      console.error('Error adding emission equivalence:', err);
+      return res.status(500).json({ error: 'Failed to add emission equivalence' });
+    }
+    res.json({ message: 'Emission equivalence added successfully', id: results.insertId });
+  });
+});
+
+app.put('/admin/equivalences/:id', authenticateAdmin, (req, res) => {
+  const equivalenceId = req.params.id;
+  const { equivalence_key, label, unit, grams_per_unit, source, display_order } = req.body;
+
+  const validationError = validateEquivalence(req.body);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+  
+  const query = `
+    UPDATE emission_equivalences 
+    SET equivalence_key = ?, label = ?, unit = ?, grams_per_unit = ?, source = ?, display_order = ?
+    WHERE id = ?
+  `;
+  
+  queryDatabase(query, [equivalence_key, label, unit, grams_per_unit, source || null, display_order ?? 0, equivalenceId], (err, results) => {
+    if (err) {
+      if (err.code === 'ER_DUP_ENTRY') {
+        return res.status(409).json({ error: 'An equivalence with this key already exists' });
+      }
+      console.error('Error updating emission equivalence:', err);
+      return res.status(500).json({ error: 'Failed to update emission equivalence' });
+    }
+
+    if (results.affectedRows === 0) {
+      return res.status(404).json({ error: 'Emission equivalence not found' });
+    }
+    res.json({ message: 'Emission equivalence updated successfully' });
+  });
+});
+
+app.delete('/admin/equivalences/:id', authenticateAdmin, (req, res) => {
+  const equivalenceId = req.params.id;
+  
+  const query = 'DELETE FROM emission_equivalences WHERE id = ?';
+  
+  queryDatabase(query, [equivalenceId], (err, results) => {
+    if (err) {
+      console.error('Error deleting emission equivalence:', err);
+      return res.status(500).json({ error: 'Failed to delete emission equivalence' });
+    }
+
+    if (results.affectedRows === 0) {
+      return res.status(404).json({ error: 'Emission equivalence not found' });
+    }
+    res.json({ message: 'Emission equivalence deleted successfully' });
+  });
+});
+
+// Cloud instance type endpoints
+const validateCloudInstanceType = ({ provider, instance_type, avg_watt_usage, idle_watts, peak_watts, uncertainty_pct }) => {
+  if (!provider || !instance_type) {
+    return 'Provider and instance_type are required';
+  }
+  if (avg_watt_usage === undefined || isNaN(Number(avg_watt_usage)) || Number(avg_watt_usage) < 0) {
+    return 'A non-negative avg_watt_usage is required';
+  }
+  const curveError = validateWattageCurve({ idle_watts, peak_watts });
+  if (curveError) {
+    return curveError;
+  }
+  if (!validateUncertaintyPct(uncertainty_pct)) {
+    return 'uncertainty_pct must be a percentage between 0 and 100';
+  }
+  return null;
+};
+
+app.get('/admin/cloud-instance-types', authenticateAdmin, (req, res) => {
+  const query = 'SELECT * FROM cloud_instance_types ORDER BY provider, instance_type';
+  
+  queryDatabase(query, (err, results) => {
+    if (err) {
+      console.error('Error fetching cloud instance types:', err);
+      return res.status(500).json({ error: 'Failed to fetch cloud instance types' });
+    }
+    res.json(results);
+  });
+});
+
+app.post('/admin/cloud-instance-types', authenticateAdmin, (req, res) => {
+  const { provider, instance_type, vcpus, memory_gb, avg_watt_usage, idle_watts, peak_watts, uncertainty_pct } = req.body;
+
+  const validationError = validateCloudInstanceType(req.body);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+  
+  const query = `
+    INSERT INTO cloud_instance_types (provider, instance_type, vcpus, memory_gb, avg_watt_usage, idle_watts, peak_watts, uncertainty_pct)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `;
+  
+  queryDatabase(query, [provider, instance_type, vcpus ?? null, memory_gb ?? null, avg_watt_usage, idle_watts ?? null, peak_watts ?? null, uncertainty_pct ?? null], (err, results) => {
+    if (err) {
+      if (err.code === 'ER_DUP_ENTRY') {
+        return res.status(409).json({ error: 'This instance type already exists for the provider' });
+      }
+      console.error('Error adding cloud instance type:', err);
+      return res.status(500).json({ error: 'Failed to add cloud instance type' });
+    }
+    res.json({ message: 'Cloud instance type added successfully', id: results.insertId });
+  });
+});
+
+app.put('/admin/cloud-instance-types/:id', authenticateAdmin, (req, res) => {
+  const instanceTypeId = req.params.id;
+  const { provider, instance_type, vcpus, memory_gb, avg_watt_usage, idle_watts, peak_watts, uncertainty_pct } = req.body;
+
+  const validationError = validateCloudInstanceType(req.body);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+  
+  const query = `
+    UPDATE cloud_instance_types 
+    SET provider = ?, instance_type = ?, vcpus = ?, memory_gb = ?, avg_watt_usage = ?, idle_watts = ?, peak_watts = ?, uncertainty_pct = ?
+    WHERE id = ?
+  `;
+  
+  queryDatabase(query, [provider, instance_type, vcpus ?? null, memory_gb ?? null, avg_watt_usage, idle_watts ?? null, peak_watts ?? null, uncertainty_pct ?? null, instanceTypeId], (err, results) => {
+    if (err) {
+      if (err.code === 'ER_DUP_ENTRY') {
+        return res.status(409).json({ error: 'This instance type already exists for the provider' });
+      }
+      console.error('Error updating cloud instance type:', err);
+      return res.status(500).json({ error: 'Failed to update cloud instance type' });
+    }
+
+    if (results.affectedRows === 0) {
+      return res.status(404).json({ error: 'Cloud instance type not found' });
+    }
+    res.json({ message: 'Cloud instance type updated successfully' });
+  });
+});
+
+app.delete('/admin/cloud-instance-types/:id', authenticateAdmin, (req, res) => {
+  const instanceTypeId = req.params.id;
+  
+  const query = 'DELETE FROM cloud_instance_types WHERE id = ?';
+  
+  queryDatabase(query, [instanceTypeId], (err, results) => {
+    if (err) {
+      console.error('Error deleting cloud instance type:', err);
+      return res.status(500).json({ error: 'Failed to delete cloud instance type' });
+    }
+
+    if (results.affectedRows === 0) {
+      return res.status(404).json({ error: 'Cloud instance type not found' });
+    }
+    res.json({ message: 'Cloud instance type deleted successfully' });
+  });
+});
+
+// Validate a CI runner type profile from a request body, returning an error message or null
+const validateCiRunnerType = ({ runner_type, avg_watt_usage, idle_watts, peak_watts, pue, uncertainty_pct }) => {
+  if (!runner_type) {
+    return 'runner_type is required';
+  }
+  if (avg_watt_usage === undefined || isNaN(Number(avg_watt_usage)) || Number(avg_watt_usage) < 0) {
+    return 'A non-negative avg_watt_usage is required';
+  }
+  const curveError = validateWattageCurve({ idle_watts, peak_watts });
+  if (curveError) {
+    return curveError;
+  }
+  if (pue != null && (isNaN(Number(pue)) || Number(pue) < 1)) {
+    return 'pue must be a number of at least 1';
+  }
+  if (!validateUncertaintyPct(uncertainty_pct)) {
+    return 'uncertainty_pct must be a percentage between 0 and 100';
+  }
+  return null;
+};
+
+app.get('/admin/ci-runner-types', authenticateAdmin, (req, res) => {
+  const query = 'SELECT * FROM ci_runner_types ORDER BY runner_type';
+
+  queryDatabase(query, (err, results) => {
+    if (err) {
+      console.error('Error fetching CI runner types:', err);
+      return res.status(500).json({ error: 'Failed to fetch CI runner types' });
+    }
+    res.json(results);
+  });
+});
+
+app.post('/admin/ci-runner-types', authenticateAdmin, (req, res) => {
+  const { runner_type, description, vcpus, avg_watt_usage, idle_watts, peak_watts, pue, uncertainty_pct } = req.body;
+
+  const validationError = validateCiRunnerType(req.body);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  const query = `
+    INSERT INTO ci_runner_types (runner_type, description, vcpus, avg_watt_usage, idle_watts, peak_watts, pue, uncertainty_pct)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `;
+
+  queryDatabase(query, [runner_type, description || null, vcpus ?? null, avg_watt_usage, idle_watts ?? null, peak_watts ?? null, pue ?? 1, uncertainty_pct ?? null], (err, results) => {
+    if (err) {
+      if (err.code === 'ER_DUP_ENTRY') {
+        return res.status(409).json({ error: 'This runner type already exists' });
+      }
+      console.error('Error adding CI runner type:', err);
+      return res.status(500).json({ error: 'Failed to add CI runner type' });
+    }
+    res.json({ message: 'CI runner type added successfully', id: results.insertId });
+  });
+});
+
+app.put('/admin/ci-runner-types/:id', authenticateAdmin, (req, res) => {
+  const runnerTypeId = req.params.id;
+  const { runner_type, description, vcpus, avg_watt_usage, idle_watts, peak_watts, pue, uncertainty_pct } = req.body;
+
+  const validationError = validateCiRunnerType(req.body);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  const query = `
+    UPDATE ci_runner_types
+    SET runner_type = ?, description = ?, vcpus = ?, avg_watt_usage = ?, idle_watts = ?, peak_watts = ?, pue = ?, uncertainty_pct = ?
+    WHERE id = ?
+  `;
+
+  queryDatabase(query, [runner_type, description || null, vcpus ?? null, avg_watt_usage, idle_watts ?? null, peak_watts ?? null, pue ?? 1, uncertainty_pct ?? null, runnerTypeId], (err, results) => {
+    if (err) {
+      if (err.code === 'ER_DUP_ENTRY') {
+        return res.status(409).json({ error: 'This runner type already exists' });
+      }
+      console.error('Error updating CI runner type:', err);
+      return res.status(500).json({ error: 'Failed to update CI runner type' });
+    }
+
+    if (results.affectedRows === 0) {
+      return res.status(404).json({ error: 'CI runner type not found' });
+    }
+    res.json({ message: 'CI runner type updated successfully' });
+  });
+});
+
+app.delete('/admin/ci-runner-types/:id', authenticateAdmin, (req, res) => {
+  const runnerTypeId = req.params.id;
+
+  const query = 'DELETE FROM ci_runner_types WHERE id = ?';
+
+  queryDatabase(query, [runnerTypeId], (err, results) => {
+    if (err) {
+      console.error('Error deleting CI runner type:', err);
+      return res.status(500).json({ error: 'Failed to delete CI runner type' });
+    }
+
+    if (results.affectedRows === 0) {
+      return res.status(404).json({ error: 'CI runner type not found' });
+    }
+    res.json({ message: 'CI runner type deleted successfully' });
+  });
+});
+
+// Cloud datacenter endpoints: each provider region maps to the grid region whose carbon factor applies, plus its PUE
+const validateCloudDatacenter = ({ provider, cloud_region, grid_region, pue }) => {
+  if (!provider || !cloud_region || !grid_region) {
+    return 'Provider, cloud_region and grid_region are required';
+  }
+  if (pue === undefined || isNaN(Number(pue)) || Number(pue) < 1) {
+    return 'PUE must be a number of at least 1';
+  }
+  return null;
+};
+
+app.get('/admin/cloud-datacenters', authenticateAdmin, (req, res) => {
+  const query = 'SELECT * FROM cloud_datacenters ORDER BY provider, cloud_region';
+  
+  queryDatabase(query, (err, results) => {
+    if (err) {
+      console.error('Error fetching cloud datacenters:', err);
+      return res.status(500).json({ error: 'Failed to fetch cloud datacenters' });
+    }
+    res.json(results);
+  });
+});
+
+app.post('/admin/cloud-datacenters', authenticateAdmin, (req, res) => {
+  const { provider, cloud_region, grid_region, pue, source } = req.body;
+
+  const validationError = validateCloudDatacenter(req.body);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+  
+  const query = `
+    INSERT INTO cloud_datacenters (provider, cloud_region, grid_region, pue, source)
+    VALUES (?, ?, ?, ?, ?)
+  `;
+  
+  queryDatabase(query, [provider, cloud_region, grid_region, pue, source || null], (err, results) => {
+    if (err) {
+      if (err.code === 'ER_DUP_ENTRY') {
+        return res.status(409).json({ error: 'This cloud region already exists for the provider' });
+      }
+      console.error('Error adding cloud datacenter:', err);
+      return res.status(500).json({ error: 'Failed to add cloud datacenter' });
+    }
+    res.json({ message: 'Cloud datacenter added successfully', id: results.insertId });
+  });
+});
+
+app.put('/admin/cloud-datacenters/:id', authenticateAdmin, (req, res) => {
+  const datacenterId = req.params.id;
+  const { provider, cloud_region, grid_region, pue, source } = req.body;
+
+  const validationError = validateCloudDatacenter(req.body);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+  
+  const query = `
+    UPDATE cloud_datacenters 
+    SET provider = ?, cloud_region = ?, grid_region = ?, pue = ?, source = ?
+    WHERE id = ?
+  `;
+  
+  queryDatabase(query, [provider, cloud_region, grid_region, pue, source || null, datacenterId], (err, results) => {
+    if (err) {
+      if (err.code === 'ER_DUP_ENTRY') {
+        return res.status(409).json({ error: 'This cloud region already exists for the provider' });
+      }
+      console.error('Error updating cloud datacenter:', err);
+      return res.status(500).json({ error: 'Failed to update cloud datacenter' });
+    }
+
+    if (results.affectedRows === 0) {
+      return res.status(404).json({ error: 'Cloud datacenter not found' });
+    }
+    res.json({ message: 'Cloud datacenter updated successfully' });
+  });
+});
+
+app.delete('/admin/cloud-datacenters/:id', authenticateAdmin, (req, res) => {
+  const datacenterId = req.params.id;
+  
+  const query = 'DELETE FROM cloud_datacenters WHERE id = ?';
+  
+  queryDatabase(query, [datacenterId], (err, results) => {
+    if (err) {
+      console.error('Error deleting cloud datacenter:', err);
+      return res.status(500).json({ error: 'Failed to delete cloud datacenter' });
+    }
+
+    if (results.affectedRows === 0) {
+      return res.status(404).json({ error: 'Cloud datacenter not found' });
+    }
+    res.json({ message: 'Cloud datacenter deleted successfully' });
+  });
+});
+
+// Close live sessions that stopped sending heartbeats (for schedulers on serverless deployments)
+app.post('/admin/live-sessions/close-stale', authenticateAdmin, async (req, res) => {
+  try {
+    const closed = await liveSessionTracker.closeStaleSessions();
+    res.status(200).json({ message: 'Stale live sessions closed', closed: closed.length, sessions: closed });
+  } catch (error) {
+    console.error('Error closing stale live sessions:', error);
+    res.status(500).json({ error: 'Failed to close stale live sessions' });
+  }
+});
+
+// Close editor sessions whose heartbeats stopped (for schedulers on serverless deployments)
+app.post('/admin/editor-sessions/close-stale', authenticateAdmin, async (req, res) => {
+  try {
+    const closed = await editorActivityTracker.closeStaleSessions();
+    res.status(200).json({ message: 'Stale editor sessions closed', closed: closed.length, sessions: closed });
+  } catch (error) {
+    console.error('Error closing stale editor sessions:', error);
+    res.status(500).json({ error: 'Failed to close stale editor sessions' });
+  }
+});
+
+// Recalculate recorded sessions in a date range against the carbon factors now in effect.
+// Sessions priced from hourly intensity are left out, since their factor is not a single version.
+// Returns a diff report; nothing is written unless commit is true.
+app.post('/admin/carbon-factors/recalculate', authenticateAdmin, async (req, res) => {
+  const { from, to, region, commit } = req.body;
+
+  if (!from || !to || isNaN(new Date(from).getTime()) || isNaN(new Date(to).getTime())) {
+    return res.status(400).json({ error: 'Valid from and to dates are required' });
+  }
+  if (toDateString(to) < toDateString(from)) {
+    return res.status(400).json({ error: 'to must be on or after from' });
+  }
+
+  try {
+    const factors = await queryDatabaseAsync(`SELECT ${CARBON_FACTOR_COLUMNS} FROM carbon_factors`);
+
+    let sessionsQuery = `
+      SELECT id, project_id, region, sub_grid, energy_wh, network_energy_wh, carbon_factor_id, carbon_factor,
+             carbon_emit, embodied_emit, network_emit, emissions_low, emissions_high, started_at
+      FROM emission_sessions
+      WHERE started_at >= ? AND started_at < DATE_ADD(?, INTERVAL 1 DAY) AND source NOT IN (?)
+        AND intensity_source IS NULL
+    `;
+    const sessionsParams = [toDateString(from), toDateString(to), UNMETERED_SESSION_SOURCES];
+    if (region) {
+      sessionsQuery += ' AND region = ?';
+      sessionsParams.push(region);
+    }
+    const sessions = await queryDatabaseAsync(sessionsQuery, sessionsParams);
+
+    const changes = [];
+    const projectDeltas = {};
+    sessions.forEach(session => {
+      const carbonFactor = selectCarbonFactor(factors, session.region, session.sub_grid, session.started_at);
+      const previousEmissions = Number(session.carbon_emit);
+      const recalculatedEmissions = Number(session.energy_wh) * carbonFactor.factor;
+      // Network transfer is charged at the same factor, so it moves with it
+      const previousNetworkEmissions = Number(session.network_emit) || 0;
+      const recalculatedNetworkEmissions = (Number(session.network_energy_wh) || 0) * carbonFactor.factor;
+      const delta = (recalculatedEmissions - previousEmissions) + (recalculatedNetworkEmissions - previousNetworkEmissions);
+
+      if (carbonFactor.id === session.carbon_factor_id && Math.abs(delta) < 1e-9) {
+        return;
+      }
+
+      // Keep the session's relative uncertainty band, rescaled around the new central estimate
+      const previousCentral = previousEmissions + previousNetworkEmissions + Number(session.embodied_emit);
+      const recalculatedCentral = previousCentral + delta;
+      const scale = previousCentral > 0 ? recalculatedCentral / previousCentral : 1;
+
+      changes.push({
+        sessionId: session.id,
+        projectId: session.project_id,
+        region: session.region,
+        startedAt: session.started_at,
+        previousFactorId: session.carbon_factor_id,
+        previousFactor: Number(session.carbon_factor),
+        newFactorId: carbonFactor.id,
+        newFactor: carbonFactor.factor,
+        newFactorRegion: carbonFactor.region,
+        previousEmissions,
+        recalculatedEmissions,
+        previousNetworkEmissions,
+        recalculatedNetworkEmissions,
+        recalculatedLow: Number(session.emissions_low) * scale,
+        recalculatedHigh: Number(session.emissions_high) * scale,
+        delta
+      });
+      projectDeltas[session.project_id] = (projectDeltas[session.project_id] || 0) + delta;
+    });
+
+    const report = {
+      from: toDateString(from),
+      to: toDateString(to),
+      region: region || null,
+      sessionsScanned: sessions.length,
+      sessionsChanged: changes.length,
+      totalDelta: changes.reduce((sum, change) => sum + change.delta, 0),
+      projects: Object.keys(projectDeltas).map(projectId => ({ projectId: Number(projectId), delta: projectDeltas[projectId] })),
+      changes,
+      committed: false
+    };
+
+    if (!commit || changes.length === 0) {
+      return res.status(200).json(report);
+    }
+
+    executeTransaction(async (err, conn) => {
+      if (err) {
+        console.error('Error starting transaction:', err);
+        return res.status(500).json({ error: 'Transaction error' });
+      }
+
+      try {
+        for (const change of changes) {
+          await queryDatabaseAsync(
+            `UPDATE emission_sessions
+             SET carbon_factor_id = ?, carbon_factor = ?, carbon_factor_region = ?, carbon_emit = ?, network_emit = ?,
+                 emissions_low = ?, emissions_high = ?
+             WHERE id = ?`,
+            [
+              change.newFactorId, change.newFactor, change.newFactorRegion, change.recalculatedEmissions,
+              change.recalculatedNetworkEmissions, change.recalculatedLow, change.recalculatedHigh, change.sessionId
+            ]
+          );
+        }
+        for (const project of report.projects) {
+          await emissionEngine.refreshProjectTotals(project.projectId);
+        }
+      } catch (err) {
+        return conn.rollback(() => {
+          console.error('Error applying recalculated emissions:', err);
+          res.status(500).json({ error: 'Failed to apply recalculated emissions' });
+        });
+      }
+
+      conn.commit(err => {
+        if (err) {
+          return conn.rollback(() => {
+            console.error('Error committing transaction:', err);
+            res.status(500).json({ error: 'Failed to commit transaction' });
+          });
+        }
+
+        res.status(200).json({ ...report, committed: true });
+      });
+    });
+  } catch (error) {
+    console.error('Error recalculating emissions:', error);
+    res.status(500).json({ error: 'Failed to recalculate emissions' });
+  }
+});
+
+// Endpoints to fetch device maintenance data
+app.get('/admin/device-maintenance', authenticateAdmin, (req, res) => {
+  const query = `
+    SELECT 
+      ud.id, ud.device, ud.cpu, ud.gpu, ud.ram, ud.capacity, ud.motherboard, ud.psu, ud.psu_tier,
+      ud.embodied_kgco2e, ud.lifetime_years,
+      u.name as user_name, u.email as user_email, u.organization
+    FROM user_devices ud
+    JOIN users u ON ud.user_id = u.id
+    ORDER BY u.organization, u.name
+  `;
+
+  queryDatabase(query, (err, results) => {
+    if (err) {
+      console.error('Error fetching device maintenance data:', err);
+      return res.status(500).json({ error: 'Database error' });
+    }
+
+    res.status(200).json({ devices: results });
+  });
+});
+
+// Endpoint to get device details by ID
+app.get('/admin/device-maintenance/:id', authenticateAdmin, (req, res) => {
+  const deviceId = req.params.id;
+
+  const query = `
+    SELECT 
+      ud.id, ud.device, ud.cpu, ud.gpu, ud.ram, ud.capacity, ud.motherboard, ud.psu, ud.psu_tier,
+      ud.embodied_kgco2e, ud.lifetime_years,
+      u.name as user_name, u.email as user_email, u.organization
+    FROM user_devices ud
+    JOIN users u ON ud.user_id = u.id
+    WHERE ud.id = ?
+  `;
+
+  queryDatabase(query, [deviceId], (err, results) => {
+    if (err) {
+      console.error('Error fetching device details:', err);
+      return res.status(500).json({ error: 'Database error' });
+    }
+
+    if (results.length === 0) {
+      return res.status(404).json({ error: 'Device not found' });
+    }
+
+    res.status(200).json({ device: results[0] });
+  });
+});
+
+// Endpoint to update device details
+app.put('/admin/device-maintenance/:id', authenticateAdmin, (req, res) => {
+  const deviceId = req.params.id;
+  const { device, cpu, gpu, ram, capacity, motherboard, psu, psu_tier, embodied_kgco2e, lifetime_years } = req.body;
+
+  if (psu_tier && !isPsuTier(psu_tier)) {
+    return res.status(400).json({ error: `psu_tier must be one of: ${Object.keys(PSU_EFFICIENCY_CURVES).join(', ')}` });
+  }
+
+  // Columns the maintenance UI predates keep their stored value when left out
+  const query = `
+    UPDATE user_devices
+    SET device = ?, cpu = ?, gpu = ?, ram = ?, capacity = ?, motherboard = ?, psu = ?, psu_tier = COALESCE(?, psu_tier),
+        embodied_kgco2e = COALESCE(?, embodied_kgco2e), lifetime_years = COALESCE(?, lifetime_years)
+    WHERE id = ?
+  `;
+
+  queryDatabase(query, [device, cpu, gpu, ram, capacity, motherboard, psu, psu_tier || null, embodied_kgco2e ?? null, lifetime_years ?? null, deviceId], (err, results) => {
+    if (err) {
+      console.error('Error updating device details:', err);
+      return res.status(500).json({ error: 'Database error' });
+    }
+
+    res.status(200).json({ message: 'Device details updated successfully' });
+  });
+});
+
+// Endpoint to delete a device
+app.delete('/admin/device-maintenance/:id', authenticateAdmin, (req, res) => {
+  const deviceId = req.params.id;
+
+  const query = `
+    DELETE FROM user_devices
+    WHERE id = ?
+  `;
+
+  queryDatabase('DELETE FROM device_peripherals WHERE device_id = ?', [deviceId], (err) => {
+    if (err) {
+      console.error('Error deleting device peripherals:', err);
+      return res.status(500).json({ error: 'Database error' });
+    }
+
+    queryDatabase(query, [deviceId], (err, results) => {
+      if (err) {
+        console.error('Error deleting device:', err);
+        return res.status(500).json({ error: 'Database error' });
+      }
+
+      res.status(200).json({ message: 'Device deleted successfully' });
+    });
   });
 });
 
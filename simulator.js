@@ -0,0 +1,164 @@
+// "What-if" device comparison: project the emissions a candidate device would have produced, either for a
+// hypothetical session or replayed over a project's recorded sessions, next to the user's current device.
+// Nothing here is written to the ledger.
+const {
+  EmissionError,
+  DEVICE_SESSION_SOURCES,
+  buildEmissionBreakdown,
+  normalizePeripherals,
+  buildUncertaintyRange,
+  combineUncertaintyRanges,
+  estimateOperationalUncertainty
+} = require('./emissions');
+
+function createDeviceSimulator(query, emissionEngine) {
+  // Resolve the candidate device: an existing user_devices id, or catalog components by model name
+  const resolveCandidateDevice = async (userId, candidate) => {
+    if (!candidate || typeof candidate !== 'object') {
+      throw new EmissionError(400, 'candidate must be a deviceId or a set of catalog components');
+    }
+    if (candidate.deviceId) {
+      const { device } = await emissionEngine.getCurrentDevice(userId, candidate.deviceId);
+      return device;
+    }
+
+    const { device, cpu, gpu, ram, motherboard = null, psu = null, psu_tier = null, embodied_kgco2e = null, lifetime_years = null } = candidate;
+    if (!device || !cpu || !gpu || !ram) {
+      throw new EmissionError(400, 'Catalog candidates require device, cpu, gpu and ram');
+    }
+    const peripherals = normalizePeripherals(candidate.peripherals);
+    return { id: null, device, cpu, gpu, ram, motherboard, psu, psu_tier, embodied_kgco2e, lifetime_years, peripherals };
+  };
+
+  // Project a device's energy and emissions over a list of sessions. Wattage is cached per utilization
+  // pair and flat carbon factors per day, since replayed projects repeat both heavily; each session's
+  // factor is then weighted by the hours of day it ran.
+  const projectDevice = async (device, sessions, region, subGrid) => {
+    const wattageCache = new Map();
+    const factorCache = new Map();
+    let deviceClass = null;
+    let energyWh = 0;
+    let carbonEmissions = 0;
+    let embodiedEmissions = 0;
+    // The same device runs every session, so per-session bounds add linearly
+    let low = 0;
+    let high = 0;
+
+    for (const session of sessions) {
+      const wattageKey = `${session.cpuUtilization}:${session.gpuUtilization}`;
+      if (!wattageCache.has(wattageKey)) {
+        wattageCache.set(wattageKey, await emissionEngine.getDeviceWattage(device, {
+          cpuUtilization: session.cpuUtilization,
+          gpuUtilization: session.gpuUtilization
+        }));
+      }
+      const factorKey = session.startedAt.toISOString().slice(0, 10);
+      if (!factorCache.has(factorKey)) {
+        factorCache.set(factorKey, await emissionEngine.getCarbonFactor(region, { subGrid, at: session.startedAt }));
+      }
+
+      const wattage = wattageCache.get(wattageKey);
+      const carbonFactor = await emissionEngine.applyIntensityProfile(factorCache.get(factorKey), region, {
+        startedAt: session.startedAt,
+        endedAt: new Date(session.startedAt.getTime() + session.sessionDuration * 1000)
+      });
+      const breakdown = buildEmissionBreakdown(wattage.watts, session.sessionDuration, carbonFactor);
+      const sessionEmbodied = wattage.embodied.gramsPerHour * session.sessionDuration / 3600;
+      const range = combineUncertaintyRanges([
+        estimateOperationalUncertainty(breakdown, wattage.wattUncertainty, carbonFactor.uncertainty),
+        buildUncertaintyRange(sessionEmbodied, sessionEmbodied * wattage.embodied.uncertainty)
+      ]);
+
+      deviceClass = wattage.deviceClass;
+      energyWh += breakdown.energyWh;
+      carbonEmissions += breakdown.carbonEmissions;
+      embodiedEmissions += sessionEmbodied;
+      low += range.low;
+      high += range.high;
+    }
+
+    return {
+      deviceClass,
+      sessions: sessions.length,
+      energyWh,
+      energyKwh: energyWh / 1000,
+      carbonEmissions,
+      embodiedEmissions,
+      totalEmissions: carbonEmissions + embodiedEmissions,
+      uncertainty: { low, central: carbonEmissions + embodiedEmissions, high },
+      emissionsUnit: 'gCO2e'
+    };
+  };
+
+  // Load a project's device sessions as replay inputs, along with what was actually recorded. Cloud, CI and
+  // other sessions that didn't run on a user's device are left out.
+  const getProjectSessions = async (projectId, userId) => {
+    await emissionEngine.assertProjectAccess(projectId, userId);
+    const results = await query(`
+      SELECT session_duration, cpu_utilization, gpu_utilization, carbon_emit, started_at
+      FROM emission_sessions
+      WHERE project_id = ? AND source IN (?)
+      ORDER BY started_at
+    `, [projectId, DEVICE_SESSION_SOURCES]);
+
+    return {
+      sessions: results.map(row => ({
+        sessionDuration: Number(row.session_duration) || 0,
+        cpuUtilization: row.cpu_utilization === null ? null : Number(row.cpu_utilization),
+        gpuUtilization: row.gpu_utilization === null ? null : Number(row.gpu_utilization),
+        startedAt: new Date(row.started_at)
+      })),
+      recordedEmissions: results.reduce((total, row) => total + (Number(row.carbon_emit) || 0), 0)
+    };
+  };
+
+  // Compare a candidate device against the user's current device over a hypothetical session
+  // (sessionDuration plus optional utilization) or a project's recorded history (projectId)
+  const compare = async ({ userId, candidate, region, subGrid = null, sessionDuration, projectId, cpuUtilization = null, gpuUtilization = null }) => {
+    if (Number.isNaN(cpuUtilization) || Number.isNaN(gpuUtilization)) {
+      throw new EmissionError(400, 'Utilization values must be percentages between 0 and 100');
+    }
+
+    const current = await emissionEngine.getCurrentDevice(userId);
+    const candidateDevice = await resolveCandidateDevice(userId, candidate);
+    const simulationRegion = region || current.region;
+
+    let sessions;
+    let recordedEmissions = null;
+    if (projectId) {
+      ({ sessions, recordedEmissions } = await getProjectSessions(projectId, userId));
+    } else {
+      const duration = Number(sessionDuration);
+      if (sessionDuration === undefined || sessionDuration === null || isNaN(duration) || duration < 0) {
+        throw new EmissionError(400, 'Provide projectId or a non-negative sessionDuration in seconds');
+      }
+      sessions = [{ sessionDuration: duration, cpuUtilization, gpuUtilization, startedAt: new Date() }];
+    }
+
+    const currentProjection = await projectDevice(current.device, sessions, simulationRegion, subGrid);
+    const candidateProjection = await projectDevice(candidateDevice, sessions, simulationRegion, subGrid);
+    const savedEmissions = currentProjection.carbonEmissions - candidateProjection.carbonEmissions;
+    const savedTotal = currentProjection.totalEmissions - candidateProjection.totalEmissions;
+
+    return {
+      region: simulationRegion,
+      projectId: projectId || null,
+      sessionDuration: sessions.reduce((total, session) => total + session.sessionDuration, 0),
+      recordedEmissions,
+      current: { device: current.device, ...currentProjection },
+      candidate: { device: candidateDevice, ...candidateProjection },
+      savings: {
+        energyWh: currentProjection.energyWh - candidateProjection.energyWh,
+        carbonEmissions: savedEmissions,
+        embodiedEmissions: currentProjection.embodiedEmissions - candidateProjection.embodiedEmissions,
+        totalEmissions: savedTotal,
+        percent: currentProjection.carbonEmissions > 0 ? (savedEmissions / currentProjection.carbonEmissions) * 100 : 0,
+        totalPercent: currentProjection.totalEmissions > 0 ? (savedTotal / currentProjection.totalEmissions) * 100 : 0
+      }
+    };
+  };
+
+  return { compare };
+}
+
+module.exports = { createDeviceSimulator };